@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+/**
+ * Dagmaid CLI
+ * Renders a snapshot of a mermaid file with its status, styled as by createDAG, e.g. to attach
+ * it to CI reports and emails:
+ *
+ *   dagmaid render pipeline.mmd -o out.svg
+ *
+ * The format is taken from the extension of the output file: .mmd for the styled diagram text,
+ * .html for a standalone page rendering it with Mermaid from a CDN, and .svg, .png or .pdf,
+ * which need the Mermaid CLI (npm install @mermaid-js/mermaid-cli). Without an output file,
+ * the styled diagram text is written to stdout.
+ *
+ * @requires buildStyledDiagram, setStatusBlock, the theme, the staleness policy and escapeHtml from utils.js
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {parseArgs} = require('util');
+const {
+    THEMES,
+    STALENESS_LEVELS,
+    MAX_STATUS_AGE_S,
+    setTheme,
+    getTheme,
+    setStatusBlock,
+    getStatusAge,
+    getStalenessPolicy,
+    stalenessLevel,
+    buildStyledDiagram,
+    escapeHtml
+} = require('../utils.js');
+
+const USAGE = `Usage: dagmaid render <pipeline.mmd> [options]
+
+Options:
+  -o, --output <file>     Output file: .svg, .png, .pdf, .html or .mmd (default: .mmd to stdout)
+  -s, --status <file>     JSON status document to apply (see Structured Status in the README)
+  -t, --theme <name>      Theme: ${Object.keys(THEMES).join(', ')} (default: light)
+  --staleness <level>     Staleness level: ${STALENESS_LEVELS.join(', ')} or auto for the age of the status (default: fresh)
+  --fixed-width <width>   Fixed width of the status lines, e.g. 120px
+  --no-group-status       Do not show the aggregate status of subgraphs
+  --no-edge-status        Do not style the edges by the state of their blocks
+  -p, --puppeteer-config <file>
+                          JSON configuration of Puppeteer for the Mermaid CLI, e.g. {"args": ["--no-sandbox"]}
+  -h, --help              Show this help`;
+
+const MMDC_FORMATS = ['svg', 'png', 'pdf'];
+
+class UsageError extends Error {}
+
+/**
+ * Read a mermaid file and apply a separate JSON status document to it, as the diagram
+ * manager does with its statusUrl option
+ * @param {string} diagramFile - Path of the mermaid file
+ * @param {string} statusFile - Path of the JSON status document (optional)
+ * @returns {string} File content with the status
+ */
+function readStatusFile(diagramFile, statusFile) {
+    const fileContent = fs.readFileSync(diagramFile, 'utf8');
+    if (!statusFile) return fileContent;
+
+    let doc;
+    try {
+        doc = JSON.parse(fs.readFileSync(statusFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid status document ${statusFile}: ${error.message}`);
+    }
+    return setStatusBlock(fileContent, doc);
+}
+
+/**
+ * Generate a standalone HTML page rendering a styled diagram with Mermaid
+ * @param {string} styledDiagram - Styled diagram text as returned by buildStyledDiagram
+ * @param {string} title - Title of the page
+ * @returns {string} HTML page
+ */
+function renderHtmlPage(styledDiagram, title) {
+    // Escape "<" so that the diagram cannot end the script element
+    const diagramJson = JSON.stringify(styledDiagram).replace(/</g, '\\u003c');
+    return (
+        `<!DOCTYPE html>\n<html>\n<head>\n` +
+        `    <meta charset="utf-8">\n` +
+        `    <title>${escapeHtml(title)}</title>\n` +
+        `    <script src="https://cdn.jsdelivr.net/npm/mermaid/dist/mermaid.min.js"></script>\n` +
+        `</head>\n<body style="background-color:${getTheme().background}">\n` +
+        `    <div id="diagram"></div>\n` +
+        `    <script>\n` +
+        `        mermaid.initialize({startOnLoad: false});\n` +
+        `        mermaid.render('diagram_svg', ${diagramJson}).then(({svg}) => {\n` +
+        `            document.getElementById('diagram').innerHTML = svg;\n` +
+        `        });\n` +
+        `    </script>\n` +
+        `</body>\n</html>\n`
+    );
+}
+
+/**
+ * Render a styled diagram to SVG, PNG or PDF with the Mermaid CLI
+ * @param {string} styledDiagram - Styled diagram text as returned by buildStyledDiagram
+ * @param {string} outputFile - Path of the output file
+ * @param {string} format - One of MMDC_FORMATS
+ * @param {Object} puppeteerConfig - Configuration of Puppeteer (default: {})
+ */
+async function renderWithMermaidCli(styledDiagram, outputFile, format, puppeteerConfig = {}) {
+    let run;
+    try {
+        ({run} = await import('@mermaid-js/mermaid-cli'));
+    } catch (error) {
+        throw new Error(`Rendering ${format} needs the Mermaid CLI: npm install @mermaid-js/mermaid-cli`);
+    }
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dagmaid-'));
+    const inputFile = path.join(tempDir, 'diagram.mmd');
+    try {
+        fs.writeFileSync(inputFile, styledDiagram);
+        await run(inputFile, outputFile, {
+            outputFormat: format,
+            puppeteerConfig,
+            quiet: true,
+            parseMMDOptions: {backgroundColor: getTheme().background}
+        });
+    } finally {
+        fs.rmSync(tempDir, {recursive: true, force: true});
+    }
+}
+
+/**
+ * Run the render command
+ * @param {Array<string>} args - Arguments after the command
+ */
+async function render(args) {
+    const {values, positionals} = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            output: {type: 'string', short: 'o'},
+            status: {type: 'string', short: 's'},
+            theme: {type: 'string', short: 't', default: 'light'},
+            staleness: {type: 'string', default: 'fresh'},
+            'fixed-width': {type: 'string'},
+            'no-group-status': {type: 'boolean', default: false},
+            'no-edge-status': {type: 'boolean', default: false},
+            'puppeteer-config': {type: 'string', short: 'p'}
+        }
+    });
+    if (positionals.length !== 1) throw new UsageError('Expected exactly one mermaid file');
+    if (values.staleness !== 'auto' && !STALENESS_LEVELS.includes(values.staleness)) {
+        throw new UsageError(`Unknown staleness level "${values.staleness}"`);
+    }
+    if (!THEMES[values.theme]) throw new UsageError(`Unknown theme "${values.theme}"`);
+    const format = values.output ? path.extname(values.output).slice(1).toLowerCase() : 'mmd';
+    if (![...MMDC_FORMATS, 'html', 'mmd'].includes(format)) {
+        throw new UsageError(`Unknown output format "${format}"`);
+    }
+
+    const [diagramFile] = positionals;
+    setTheme(values.theme);
+    const fileContent = readStatusFile(diagramFile, values.status);
+    const level = values.staleness === 'auto' ?
+        stalenessLevel(getStatusAge(fileContent), getStalenessPolicy(fileContent, {
+            warnAfter_s: null,
+            staleAfter_s: MAX_STATUS_AGE_S
+        })) :
+        values.staleness;
+    const styledDiagram = buildStyledDiagram(fileContent, {
+        level,
+        fixedWidth: values['fixed-width'],
+        groupStatus: !values['no-group-status'],
+        edgeStatus: !values['no-edge-status']
+    });
+
+    if (!values.output) {
+        process.stdout.write(styledDiagram + '\n');
+    } else if (format === 'mmd') {
+        fs.writeFileSync(values.output, styledDiagram + '\n');
+    } else if (format === 'html') {
+        fs.writeFileSync(values.output, renderHtmlPage(styledDiagram, path.basename(diagramFile)));
+    } else {
+        const puppeteerConfig = values['puppeteer-config'] ?
+            JSON.parse(fs.readFileSync(values['puppeteer-config'], 'utf8')) : {};
+        await renderWithMermaidCli(styledDiagram, path.resolve(values.output), format, puppeteerConfig);
+    }
+}
+
+async function main(argv) {
+    const [command, ...args] = argv;
+    if (!command || command === '-h' || command === '--help' || args.includes('-h') || args.includes('--help')) {
+        console.log(USAGE);
+        return 0;
+    }
+    try {
+        if (command !== 'render') throw new UsageError(`Unknown command "${command}"`);
+        await render(args);
+        return 0;
+    } catch (error) {
+        console.error(`dagmaid: ${error.message}`);
+        if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+            console.error(USAGE);
+            return 2;
+        }
+        return 1;
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
\ No newline at end of file
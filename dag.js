@@ -1,116 +1,456 @@
 /**
- * @requires parseStates, createDiagramManager, getStatusAge, MAX_STATUS_AGE_S, createStatusLine, formatDuration, extractColors, extractDiagram, state constants, and CSS class helpers from utils.js
+ * @requires parseStates, parseGroupStates, parseEdges, tokenizeFlowchart, createDiagramManager, formatDuration, formatRuntime, formatGroupStatus, extractDiagram, getStateStyle, getStateClass, getBlockStatuses, getEdgeStatuses, styleDiagram, statusTextLength, getLineage, parseStyle, spinner, escapeHtml, the theme, the state registry, state, edge state and staleness constants, and CSS class helpers from utils.js, and createViewport from viewport.js (only with the viewport option)
  */
 
 /**
- * Helper function to apply transformations to both rectangular and rounded blocks
- * @param {string} diagram - The diagram content to modify
- * @param {string} blockId - The block ID to target
- * @param {string} replacement - The replacement pattern to apply
- * @returns {string} Modified diagram content
+ * Format the details of a block for tooltips and the detail panel
+ * @param {string} blockId - Block ID
+ * @param {Object} blockData - Block data as returned by parseStates
+ * @returns {string} HTML with one line per known attribute
  */
-function style(diagram, blockId, replacement) {
-    const rectangularRegex = new RegExp(`(${blockId}\\[)([^\\]]+)(\\])`, 'g');
-    const roundedRegex = new RegExp(`(${blockId}\\()([^\\)]+)(\\))`, 'g');
+function formatBlockDetails(blockId, blockData) {
+    const time = value => new Date(value).toLocaleString();
+    const rows = [
+        ['State', blockData.state],
+        ['Runtime', blockData.runtime >= 0 ? formatDuration(blockData.runtime) : undefined],
+        ['Started', blockData.start && time(blockData.start)],
+        ['Ended', blockData.end && time(blockData.end)],
+        ['Attempts', blockData.attempts],
+        ['Message', blockData.message]
+    ].filter(([, value]) => value !== undefined && value !== '');
     
-    return diagram
-        .replace(rectangularRegex, replacement)
-        .replace(roundedRegex, replacement);
+    return (
+        `<div style='font-weight:bold;margin-bottom:4px'>${escapeHtml(blockId)}</div>` +
+        rows.map(([name, value]) => (
+            `<div><span style='color:${getTheme().mutedText}'>${name}:</span> ${escapeHtml(value)}</div>`
+        )).join('')
+    );
 }
 
 /**
  * Mermaid Diagram Auto-Updater
- * Automatically updates a Mermaid diagram based on embedded session comments
+ * Automatically updates a Mermaid diagram based on embedded session comments.
+ * Blocks are styled according to the state registry (see registerState in utils.js), whose
+ * built-in states take their styles from the theme (see setTheme).
+ * The style options below override the registered styles of the built-in states. While the
+ * status is delayed (see createDiagramManager), blocks are filled light yellow.
+ * Edges are styled by the state of their blocks (see parseEdgeStates): edges into a running
+ * block are dashed and animated, edges out of a finished block are green and all edges
+ * downstream of a failed block are red. Selecting a block highlights its lineage, the blocks
+ * and edges upstream and downstream of it, and dims the rest of the diagram. Selecting it
+ * again or pressing Escape clears the selection.
  * 
  * @param {Object} diagramManager - Diagram manager instance from createDiagramManager
  * @param {string} containerId - ID of the HTML element to contain the diagram
  * @param {Object} opts - Configuration options
- * @param {string} opts.defaultStyle - Default CSS styling for blocks (default: 'fill:#4472C4,stroke:#ffffff,stroke-width:1px,color:#fff')
- * @param {string} opts.successStyle - CSS styling for success blocks (default: 'stroke:#28a745,stroke-width:3px')
- * @param {string} opts.failedStyle - CSS styling for failed blocks (default: 'stroke:#dc3545,stroke-width:3px')
+ * @param {string} opts.defaultStyle - Default CSS styling for blocks (default: registered style of 'Waiting')
+ * @param {string} opts.successStyle - CSS styling for success blocks (default: registered style of 'Success')
+ * @param {string} opts.failedStyle - CSS styling for failed blocks (default: registered style of 'Failed')
  * @param {string} opts.staleDefaultStyle - Default CSS styling when stale (default: same as defaultStyle but greyed)
  * @param {string} opts.staleSuccessStyle - Success CSS styling when stale (default: same as successStyle but greyed)
  * @param {string} opts.staleFailedStyle - Failed CSS styling when stale (default: same as failedStyle but greyed)
+ * @param {boolean} opts.edgeStatus - Style the edges by the state of their blocks (default: true)
+ * @param {string} opts.activeEdgeStyle - CSS styling for edges into running blocks (default: dashed in the accent color of the theme)
+ * @param {string} opts.doneEdgeStyle - CSS styling for edges out of finished blocks (default: success color of the theme)
+ * @param {string} opts.failedEdgeStyle - CSS styling for edges downstream of failed blocks (default: failed color of the theme)
+ * @param {string} opts.fixedWidth - Fixed width of the status line of blocks (default: variable width)
+ * @param {boolean} opts.groupStatus - Show the aggregate status of subgraphs in their title (default: true)
+ * @param {boolean} opts.tickRuntime - Advance the runtime of running blocks with a start timestamp every second (default: true)
+ * @param {string} opts.transitionDuration - Duration of the color transition between states, or '' for none (default: '0.5s')
+ * @param {boolean|Object} opts.viewport - Show the diagram with pan, zoom and an optional minimap, with options of createViewport (default: false)
+ * @param {boolean} opts.tooltips - Show block details when hovering or focusing a block (default: true)
+ * @param {boolean} opts.highlightLineage - Highlight the lineage of the selected block (default: true)
+ * @param {Function} opts.onBlockClick - Called as onBlockClick(blockId, blockData) when a block is clicked or activated with the keyboard (optional)
+ * @param {string} opts.detailPanelId - ID of an HTML element to show the details of the clicked block in (optional)
+ * 
+ * Without onBlockClick and detailPanelId, clicking a block opens its logUrl in a new tab.
  */
 function createDAG(diagramManager, containerId, opts = {}) {
     const config = {
-        defaultStyle: 'fill:#f8f9fa,stroke:#4472C4,stroke-width:2px,color:#495057',
-        successStyle: 'fill:#f8f9fa,stroke:#28a745,stroke-width:2px,color:#155724',
-        failedStyle: 'fill:#f8f9fa,stroke:#dc3545,stroke-width:2px,color:#721c24',
-        staleDefaultStyle: 'fill:#f3f4f6,stroke:#9ca3af,stroke-width:2px,color:#6b7280',
-        staleSuccessStyle: 'fill:#f3f4f6,stroke:#6b8e6b,stroke-width:2px,color:#6b7280',
-        staleFailedStyle: 'fill:#f3f4f6,stroke:#a37373,stroke-width:2px,color:#6b7280',
         fixedWidth: undefined,  // Default: variable width
+        groupStatus: true,
+        tickRuntime: true,
+        tooltips: true,
+        transitionDuration: '0.5s',
+        viewport: false,
+        edgeStatus: true,
+        highlightLineage: true,
+        onBlockClick: undefined,
+        detailPanelId: undefined,
         ...opts
     };
     
-    const {textColor} = extractColors(config.defaultStyle);
+    let lastContent = null;
+    let receivedAt = null;
+    let interactiveContainer = null;
+    let tooltip = null;
+    let renderedDiagram = null;  // Diagram text of the rendered SVG, without status lines and classes
+    let layoutStatuses = null;  // Statuses the rendered SVG was laid out with
+    let renderCount = 0;
+    let rendering = false;
+    let viewport = null;
+    let selectedBlockId = null;
     
     // Initialize Mermaid
     mermaid.initialize({startOnLoad: true});
     
+    // Status line and CSS class of each block and group
+    function blockStatuses(fileContent, diagram) {
+        return getBlockStatuses(fileContent, diagram, {...config, level: diagramManager.getStaleness().level});
+    }
+    
+    // State and style of each edge
+    function edgeStatuses(fileContent) {
+        if (!config.edgeStatus) return [];
+        return getEdgeStatuses(fileContent, {...config, level: diagramManager.getStaleness().level});
+    }
+    
     function updateDiagram(fileContent) {
-        // Check if status is stale
-        const statusAge = getStatusAge(fileContent);
-        const isStale = statusAge !== null && statusAge > MAX_STATUS_AGE_S;
+        // Staleness and theme changes redraw the same content, which keeps its runtimes ticking
+        if (fileContent !== lastContent) {
+            lastContent = fileContent;
+            receivedAt = diagramManager.now();
+        }
         
-        let diagram = extractDiagram(fileContent, config);
-
-        // Apply state-based styling
-        const getAction = (state, blockId) => {
-            const createAction = (rt, showSpinner = false, cssClass = '') => 
-                `$1$2${formatState(rt, showSpinner, textColor, blockId, config.fixedWidth)}$3${cssClass}`;
-            
-            const actions = {
-                [STATE_RUNNING]: (rt) => createAction(rt, !isStale),
-                [STATE_SUCCESS]: (rt) => createAction(rt, false, `:::${CLS_SUCCESS}`),
-                [STATE_FAILED]: (rt) => createAction(rt, false, `:::${CLS_FAILED}`)
-            };
-            return actions[state] || ((rt) => createAction(RUNTIME_PLACEHOLDER, false));
-        };
+        const diagram = extractDiagram(fileContent, {defaultStyle: getStateStyle(STATE_DEFAULT, STALENESS_FRESH, config)});
+        const container = document.getElementById(containerId);
+        attachInteractions(container);
+        // Colors of the diagram style that follow the theme without rendering again
+        container.style.setProperty('--dagmaid-selected', getTheme().accent);
+        const stage = stageOf(container);
         
-        parseStates(fileContent).forEach((blockData, blockId) => {
-            const runtime = formatDuration(blockData.runtime);
-            const actionFn = getAction(blockData.state, blockId);
-            diagram = style(diagram, blockId, actionFn(runtime));
+        // State changes are patched into the rendered SVG as long as the status lines fit into
+        // their blocks. A pending render applies the latest status once it is done.
+        const statuses = blockStatuses(fileContent, diagram);
+        if (diagram === renderedDiagram && !outgrowsLayout(statuses)) {
+            if (rendering) return;
+            patchDiagram(stage, statuses, edgeStatuses(fileContent));
+            if (config.tickRuntime) tick();
+            return;
+        }
+        renderDiagram(stage, diagram, statuses, edgeStatuses(fileContent));
+    }
+    
+    // Status lines need more space once a spinner appears or their text gets longer
+    function outgrowsLayout(statuses) {
+        return [...statuses].some(([id, status]) => {
+            const laidOut = layoutStatuses?.get(id);
+            return !laidOut || (status.showSpinner && !laidOut.showSpinner) ||
+                statusTextLength(status.text) > statusTextLength(laidOut.text);
         });
+    }
+    
+    // Element to render the SVG into: the container itself, or the stage of its viewport
+    function stageOf(container) {
+        if (!config.viewport) return container;
+        if (viewport?.container !== container) {
+            viewport?.destroy();
+            viewport = createViewport(container, config.viewport === true ? {} : config.viewport);
+        }
+        return viewport.stage;
+    }
+    
+    function renderDiagram(stage, diagram, statuses, edges) {
+        const styledDiagram = styleDiagram(diagram, statuses, config, edges);
         
-        const currentStyles = {
-            defaultStyle: isStale ? config.staleDefaultStyle : config.defaultStyle,
-            successStyle: isStale ? config.staleSuccessStyle : config.successStyle,
-            failedStyle: isStale ? config.staleFailedStyle : config.failedStyle
-        };
+        const renderId = `${containerId}_svg${++renderCount}`;
+        const isCurrent = () => renderId === `${containerId}_svg${renderCount}`;
+        renderedDiagram = diagram;
+        layoutStatuses = statuses;
+        rendering = true;
+        mermaid.render(renderId, styledDiagram).then(({svg, bindFunctions}) => {
+            // Drop the result if the diagram was rendered again in the meantime
+            if (!isCurrent()) return;
+            rendering = false;
+            stage.innerHTML = diagramStyle() + svg;
+            bindFunctions?.(stage);
+            decorateBlocks(stage);
+            findEdges(stage, edges).forEach((path, index) => {
+                if (path) path.dataset.edgeStyle = edges[index].style;
+            });
+            viewport?.attach(stage.querySelector('svg'));
+            highlightLineage(stage);
+            if (lastContent !== null) updateDiagram(lastContent);
+        }).catch(error => {
+            if (!isCurrent()) return;
+            console.error('Error rendering diagram:', error);
+            renderedDiagram = null;
+            layoutStatuses = null;
+            rendering = false;
+        });
+    }
+    
+    // Update the status lines and CSS classes of the rendered blocks and the styles of the
+    // rendered edges in place
+    function patchDiagram(stage, statuses, edges) {
+        const stateClasses = [...STATES.values()].flatMap(def => STALENESS_LEVELS.map(level => getStateClass(def, level)));
+        statuses.forEach((status, id) => {
+            const text = stage.querySelector(`[id="${id}_text"]`);
+            if (!text) return;
+            text.innerHTML = status.text;
+            
+            // Blocks that stop spinning collapse the space of the spinner until the next render
+            const spinnerImage = stage.querySelector(`[id="${id}_spinner"]`);
+            if (spinnerImage) {
+                if (status.showSpinner) spinnerImage.setAttribute('src', spinner(status.color));
+                spinnerImage.style.display = status.showSpinner ? '' : 'none';
+            }
+            
+            const element = text.closest('g.node, g.cluster');
+            if (element && !element.classList.contains(status.cssClass)) {
+                element.classList.remove(...stateClasses);
+                element.classList.add(status.cssClass);
+            }
+        });
         
-        // Add CSS styling for success, failed, and Mermaid's predefined default states.
-        const styledDiagram = (
-            `${diagram}\n\n` +
-            `classDef default ${currentStyles.defaultStyle}` + "\n" +
-            `classDef ${CLS_SUCCESS} ${currentStyles.successStyle}` + "\n" +
-            `classDef ${CLS_FAILED} ${currentStyles.failedStyle}`
+        const animate = diagramManager.getStaleness().level !== STALENESS_STALE;
+        findEdges(stage, edges).forEach((path, index) => {
+            if (!path) return;
+            const {state, style} = edges[index];
+            path.classList.toggle('edge-active', animate && state === EDGE_ACTIVE);
+            if (path.dataset.edgeStyle === style) return;
+            parseStyle(path.dataset.edgeStyle).forEach((value, name) => path.style.removeProperty(name));
+            parseStyle(style).forEach((value, name) => path.style.setProperty(name, value));
+            path.dataset.edgeStyle = style;
+        });
+        viewport?.update([...statuses].filter(([, status]) => status.showSpinner).map(([id]) => id));
+    }
+    
+    // Rendered path of each edge, found by the edge ID of Mermaid (e.g. "L_Read_Write_0") or
+    // else by position
+    function findEdges(stage, edges) {
+        const paths = stage.querySelectorAll('path.flowchart-link');
+        return edges.map(({from, to}, index) => (
+            stage.querySelector(`path[data-id="L_${from}_${to}_${index}"]`) || paths[index]
+        ));
+    }
+    
+    // Fade the colors of blocks between states, animate active edges and dim the blocks and
+    // edges outside of the highlighted lineage
+    function diagramStyle() {
+        const scope = `#${containerId}`;
+        const duration = config.transitionDuration;
+        const transitions = !duration ? '' : (
+            `${scope} g.node > *, ${scope} g.cluster > * {transition:fill ${duration},stroke ${duration}}` +
+            `${scope} g.node span, ${scope} g.cluster span {transition:color ${duration}}` +
+            `${scope} path.flowchart-link {transition:stroke ${duration}}`
         );
-
-        document.getElementById(containerId).innerHTML = (
-            `<div class="mermaid">${styledDiagram}</div>`
+        return (
+            `<style>${transitions}` +
+            `${scope} path.edge-active {animation:${containerId}_flow 0.8s linear infinite}` +
+            `@keyframes ${containerId}_flow {to {stroke-dashoffset:-20}}` +
+            `@media (prefers-reduced-motion: reduce) {${scope} path.edge-active {animation:none}}` +
+            `${scope} svg.lineage g.node:not(.lineage), ${scope} svg.lineage path.flowchart-link:not(.lineage), ` +
+            `${scope} svg.lineage g.edgeLabel:not(.lineage) {opacity:0.25}` +
+            `${scope} g.node.lineage-selected {filter:drop-shadow(0 0 4px var(--dagmaid-selected))}</style>`
+        );
+    }
+    
+    // Block ID of a rendered node, e.g. "flowchart-Read-0"
+    function findBlock(target) {
+        const element = target.closest?.('g.node');
+        const idMatch = element?.id.match(/flowchart-(.+)-\d+$/);
+        return idMatch ? {element, blockId: idMatch[1]} : null;
+    }
+    
+    // Make blocks focusable so that they can be used with the keyboard
+    function decorateBlocks(stage) {
+        stage.querySelectorAll('g.node').forEach(element => {
+            const block = findBlock(element);
+            if (!block) return;
+            element.setAttribute('tabindex', '0');
+            element.setAttribute('role', 'button');
+            element.setAttribute('aria-label', block.blockId);
+            element.style.cursor = 'pointer';
+        });
+    }
+    
+    function blockDataOf(blockId) {
+        return lastContent === null ? undefined : tickedStates(lastContent).get(blockId);
+    }
+    
+    function showTooltip(block) {
+        const blockData = blockDataOf(block.blockId);
+        if (!config.tooltips || !blockData) return;
+        if (!tooltip) {
+            tooltip = document.createElement('div');
+            tooltip.setAttribute('role', 'tooltip');
+            document.body.appendChild(tooltip);
+        }
+        const theme = getTheme();
+        tooltip.style.cssText = (
+            'position:fixed;z-index:1000;max-width:320px;padding:6px 10px;border-radius:4px;' +
+            `background:${theme.background};border:1px solid ${theme.border};box-shadow:0 2px 6px rgba(0,0,0,0.15);` +
+            `color:${theme.text};font-size:12px;font-family:'trebuchet ms',verdana,arial,sans-serif;` +
+            'pointer-events:none'
         );
-        mermaid.init();
+        const rect = block.element.getBoundingClientRect();
+        tooltip.innerHTML = formatBlockDetails(block.blockId, blockData);
+        tooltip.style.left = `${rect.left}px`;
+        tooltip.style.top = `${rect.bottom + 6}px`;
+        tooltip.style.display = 'block';
+    }
+    
+    function hideTooltip() {
+        if (tooltip) tooltip.style.display = 'none';
+    }
+    
+    // Mark the blocks and edges in the lineage of the selected block, see diagramStyle
+    function highlightLineage(stage) {
+        const svg = stage.querySelector('svg');
+        if (!svg) return;
+        svg.querySelectorAll('.lineage').forEach(element => element.classList.remove('lineage', 'lineage-selected'));
+        // The selection ends with the block, or when the last render failed
+        if (renderedDiagram === null || (selectedBlockId !== null && !tokenizeFlowchart(renderedDiagram).nodes.has(selectedBlockId))) {
+            selectedBlockId = null;
+        }
+        svg.classList.toggle('lineage', selectedBlockId !== null);
+        if (selectedBlockId === null) return;
+        
+        const lineage = getLineage(lastContent, selectedBlockId);
+        const blockIds = new Set([selectedBlockId, ...lineage.upstream, ...lineage.downstream]);
+        svg.querySelectorAll('g.node').forEach(element => {
+            const block = findBlock(element);
+            if (!block || !blockIds.has(block.blockId)) return;
+            element.classList.add('lineage');
+            element.classList.toggle('lineage-selected', block.blockId === selectedBlockId);
+        });
+        const edges = parseEdges(lastContent);
+        findEdges(stage, edges).forEach((path, index) => {
+            if (!path || !lineage.edges.has(index)) return;
+            const {from, to} = edges[index];
+            path.classList.add('lineage');
+            svg.querySelector(`g.edgeLabel [data-id="L_${from}_${to}_${index}"]`)?.closest('g.edgeLabel').classList.add('lineage');
+        });
+    }
+    
+    function selectBlock(blockId) {
+        if (!config.highlightLineage || blockId === selectedBlockId) return;
+        selectedBlockId = blockId;
+        highlightLineage(stageOf(document.getElementById(containerId)));
+    }
+    
+    function activateBlock(block) {
+        selectBlock(selectedBlockId === block.blockId ? null : block.blockId);
+        const blockData = blockDataOf(block.blockId);
+        if (!blockData) return;
+        if (config.onBlockClick) {
+            config.onBlockClick(block.blockId, blockData);
+        } else if (config.detailPanelId) {
+            const logLink = blockData.logUrl ? 
+                `<div><a href="${escapeHtml(blockData.logUrl)}" target="_blank" rel="noopener">Open log</a></div>` : '';
+            document.getElementById(config.detailPanelId).innerHTML = (
+                formatBlockDetails(block.blockId, blockData) + logLink
+            );
+        } else if (blockData.logUrl) {
+            window.open(blockData.logUrl, '_blank', 'noopener');
+        }
+    }
+    
+    // Handlers are delegated from the container so that they survive re-renders
+    const handlers = {
+        mouseover: event => {
+            const block = findBlock(event.target);
+            if (block) showTooltip(block);
+        },
+        mouseout: event => {
+            const block = findBlock(event.target);
+            if (block && !block.element.contains(event.relatedTarget)) hideTooltip();
+        },
+        focusin: event => {
+            const block = findBlock(event.target);
+            if (block) showTooltip(block);
+        },
+        focusout: hideTooltip,
+        click: event => {
+            const block = findBlock(event.target);
+            if (block) activateBlock(block);
+        },
+        keydown: event => {
+            const block = findBlock(event.target);
+            if (event.key === 'Escape') {
+                hideTooltip();
+                selectBlock(null);
+            }
+            if (!block || (event.key !== 'Enter' && event.key !== ' ')) return;
+            event.preventDefault();
+            activateBlock(block);
+        }
+    };
+    
+    function attachInteractions(container) {
+        if (container === interactiveContainer) return;
+        detachInteractions();
+        interactiveContainer = container;
+        Object.entries(handlers).forEach(([type, handler]) => container.addEventListener(type, handler));
+    }
+    
+    function detachInteractions() {
+        if (!interactiveContainer) return;
+        Object.entries(handlers).forEach(([type, handler]) => (
+            interactiveContainer.removeEventListener(type, handler)
+        ));
+        interactiveContainer = null;
+    }
+    
+    // Advance the runtime of running blocks with a start timestamp by the time that passed
+    // since the content was received. The runtime at the status timestamp is the base.
+    function tickedStates(fileContent) {
+        const states = parseStates(fileContent);
+        const timestamp = getTimestamp(fileContent);
+        if (!config.tickRuntime || !timestamp) return states;
+        const elapsed_s = (diagramManager.now() - receivedAt) / 1000;
+        states.forEach(blockData => {
+            if (!blockData.start || blockData.end || !getStateDef(blockData.state).spinner) return;
+            const start = new Date(blockData.start).getTime();
+            blockData.runtime = Math.max(0, (timestamp.getTime() - start) / 1000 + elapsed_s);
+        });
+        return states;
     }
     
     function updateRuntimeOnly(fileContent) {
-        // Update each block's runtime text element within the container
-        parseStates(fileContent).forEach((blockData, blockId) => {
+        const setText = (id, text) => {
             const element = document.getElementById(containerId)
-                ?.querySelector(`#${blockId}_text`);
-            if (element) element.textContent = formatDuration(blockData.runtime);
+                ?.querySelector(`[id="${id}_text"]`);
+            if (element) element.innerHTML = text;
+        };
+        if (fileContent !== lastContent) {
+            lastContent = fileContent;
+            receivedAt = diagramManager.now();
+        }
+        
+        // Update each block's and group's runtime text element within the container
+        const states = tickedStates(fileContent);
+        states.forEach((blockData, blockId) => {
+            setText(blockId, formatRuntime(blockData));
         });
+        if (config.groupStatus) parseGroupStates(fileContent, states).forEach((groupData, groupId) => {
+            setText(groupId, formatGroupStatus(groupData));
+        });
+    }
+    
+    // Clocks freeze once the status goes stale
+    function tick() {
+        if (lastContent === null || diagramManager.getStaleness().level === STALENESS_STALE) return;
+        updateRuntimeOnly(lastContent);
     }
     
-    // Subscribe to diagram manager for redraw events (full re-render)
+    // Subscribe to diagram manager for redraw events (topology or state changes)
     const unsubscribeRedraw = diagramManager.onRedraw(updateDiagram);
     const unsubscribeUpdate = diagramManager.onUpdate(updateRuntimeOnly);
+    const unsubscribeTheme = onThemeChange(() => {
+        if (lastContent !== null) updateDiagram(lastContent);
+    });
+    const tickTimer = config.tickRuntime ? setInterval(tick, 1000) : null;
     
     // Return cleanup function
     return function cleanup() {
         unsubscribeRedraw();
         unsubscribeUpdate();
+        unsubscribeTheme();
+        clearInterval(tickTimer);
+        detachInteractions();
+        tooltip?.remove();
+        viewport?.destroy();
     };
 }
\ No newline at end of file
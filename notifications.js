@@ -0,0 +1,154 @@
+/**
+ * @requires createDiagramManager, parseStates, aggregateStates, getStateDef, extractColors and the state registry from utils.js
+ */
+
+/**
+ * Create a favicon showing a colored dot
+ * @param {string} color - Color of the dot
+ * @returns {string} Data URL of the favicon
+ */
+function badgeIcon(color) {
+    return 'data:image/svg+xml;base64,' + btoa(
+        `<svg width="16" height="16" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg">` +
+        `<circle cx="8" cy="8" r="7" fill="${color}"/></svg>`
+    );
+}
+
+/**
+ * Play a short beep through the Web Audio API
+ * @param {number} frequency - Frequency of the beep in Hz
+ */
+function beep(frequency) {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    const context = new AudioContext();
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.2, context.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + 0.4);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start();
+    oscillator.stop(context.currentTime + 0.4);
+    oscillator.onended = () => context.close();
+}
+
+/**
+ * Pipeline Notifier
+ * Notifies about failed blocks and the completion of the pipeline while the page is in a
+ * background tab: with Web Notifications, a sound, and a badge in the page title and favicon.
+ * The badges are cleared when the page becomes visible again. Browsers only ask for the
+ * permission to show notifications after a user interaction, so the permission is requested
+ * on the first click on the page.
+ *
+ * @param {Object} diagramManager - Diagram manager instance from createDiagramManager
+ * @param {Object} opts - Configuration options
+ * @param {string} opts.name - Name of the pipeline in notifications (default: the page title)
+ * @param {Array<string>|null} opts.notifyStates - States of blocks to notify about, or null for the states registered as failed (default: null)
+ * @param {boolean} opts.notifyComplete - Notify when all blocks are done (default: true)
+ * @param {boolean} opts.notifications - Show Web Notifications (default: true)
+ * @param {boolean|string} opts.sound - Play a beep, or the audio file at the given URL (default: false)
+ * @param {boolean} opts.titleBadge - Prefix the page title with the number of notifications (default: true)
+ * @param {boolean} opts.faviconBadge - Replace the favicon by a dot in the color of the last state (default: true)
+ * @param {boolean} opts.onlyWhenHidden - Only notify while the page is hidden (default: true)
+ */
+function createNotifier(diagramManager, opts = {}) {
+    const config = {
+        name: document.title,
+        notifyStates: null,
+        notifyComplete: true,
+        notifications: true,
+        sound: false,
+        titleBadge: true,
+        faviconBadge: true,
+        onlyWhenHidden: true,
+        ...opts
+    };
+    const originalTitle = document.title;
+    const originalIcon = document.querySelector('link[rel~="icon"]');
+    let icon = null;
+    let unseen = 0;
+    let complete = null;
+
+    function showBadges(color) {
+        unseen++;
+        if (config.titleBadge) document.title = `(${unseen}) ${originalTitle}`;
+        if (config.faviconBadge) {
+            if (!icon) {
+                icon = document.createElement('link');
+                icon.rel = 'icon';
+                document.head.appendChild(icon);
+                originalIcon?.remove();
+            }
+            icon.href = badgeIcon(color);
+        }
+    }
+
+    function clearBadges() {
+        if (!unseen) return;
+        unseen = 0;
+        if (config.titleBadge) document.title = originalTitle;
+        if (icon) {
+            icon.remove();
+            icon = null;
+            if (originalIcon) document.head.appendChild(originalIcon);
+        }
+    }
+
+    function notify(title, body, state) {
+        if (config.onlyWhenHidden && !document.hidden) return;
+        const {strokeColor} = extractColors(getStateDef(state).style);
+        showBadges(strokeColor);
+
+        if (config.sound === true) beep(getStateDef(state).failed ? 330 : 660);
+        else if (config.sound) new Audio(config.sound).play().catch(() => {});
+
+        if (config.notifications && window.Notification?.permission === 'granted') {
+            const notification = new Notification(title, {body, icon: badgeIcon(strokeColor)});
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+            };
+        }
+    }
+
+    function handleTransition(blockId, fromState, toState, blockData) {
+        const notifies = config.notifyStates ? config.notifyStates.includes(toState) : getStateDef(toState).failed;
+        if (!notifies) return;
+        notify(`${blockId}: ${toState}`, blockData.message || config.name, toState);
+    }
+
+    // The pipeline completes when its last block is done. Pipelines that are already
+    // complete when the page is loaded are not notified about.
+    function handleRedraw(fileContent) {
+        const {state, done, total} = aggregateStates([...parseStates(fileContent).values()]);
+        const isComplete = total > 0 && done === total;
+        if (config.notifyComplete && complete === false && isComplete) {
+            notify(`${config.name}: ${state}`, `All ${total} blocks are done`, state);
+        }
+        complete = isComplete;
+    }
+
+    function handleVisibilityChange() {
+        if (!document.hidden) clearBadges();
+    }
+
+    function requestPermission() {
+        document.removeEventListener('click', requestPermission);
+        if (window.Notification?.permission === 'default') Notification.requestPermission();
+    }
+
+    if (config.notifications) document.addEventListener('click', requestPermission);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    const unsubscribeTransition = diagramManager.onTransition(handleTransition);
+    const unsubscribeRedraw = diagramManager.onRedraw(handleRedraw);
+
+    // Return cleanup function
+    return function cleanup() {
+        unsubscribeTransition();
+        unsubscribeRedraw();
+        document.removeEventListener('click', requestPermission);
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
+        clearBadges();
+    };
+}
\ No newline at end of file
@@ -0,0 +1,240 @@
+/**
+ * @requires createDiagramManager, createScheduler, parseStates, aggregateStates, getTimestamp, staleness constants, getStateDef, extractColors, escapeHtml and the theme from utils.js, renderProgressBar from progress-bar.js and createDAG from dag.js
+ */
+
+/**
+ * Summarize the status of a pipeline for its overview row
+ * @param {string} fileContent - The complete mermaid file content
+ * @param {string} level - Staleness level of the status, see createDiagramManager
+ * @returns {Object} Object with state, done, total, timestamp and level properties
+ */
+function summarizePipeline(fileContent, level) {
+    const {state, done, total} = aggregateStates([...parseStates(fileContent).values()]);
+    return {
+        state,
+        done,
+        total,
+        timestamp: getTimestamp(fileContent),
+        level
+    };
+}
+
+/**
+ * Normalize the pipelines of an overview to objects with name and url. Relative URLs of a
+ * manifest are resolved against the URL of the manifest.
+ * @param {Array<string|Object>} pipelines - URLs of .mmd files or objects with url, name and statusUrl
+ * @param {string} baseUrl - URL to resolve relative URLs against
+ * @returns {Array<Object>} Pipelines with name, url and statusUrl properties
+ */
+function normalizePipelines(pipelines, baseUrl) {
+    return pipelines.map(entry => {
+        const pipeline = typeof entry === 'string' ? {url: entry} : {...entry};
+        pipeline.url = new URL(pipeline.url, baseUrl).href;
+        if (pipeline.statusUrl) pipeline.statusUrl = new URL(pipeline.statusUrl, baseUrl).href;
+        pipeline.name = pipeline.name || decodeURIComponent(
+            pipeline.url.split(/[?#]/)[0].split('/').pop().replace(/\.mmd$/, '')
+        );
+        return pipeline;
+    });
+}
+
+/**
+ * Generate and render an overview row directly to the DOM
+ * @param {string} rowId - ID of the row element
+ * @param {Object} pipeline - Pipeline with name and url
+ * @param {Object} summary - Summary from summarizePipeline, or null while loading
+ * @param {Object} config - Configuration object with colors
+ */
+function renderOverviewRow(rowId, pipeline, summary, config) {
+    const row = document.getElementById(rowId);
+    if (!row) return;
+    const cssCell = 'overflow:hidden;text-overflow:ellipsis;white-space:nowrap';
+    const cssMuted = `${cssCell};color:${config.mutedColor}`;
+
+    if (!summary) {
+        row.innerHTML = (
+            `<span style="${cssCell};font-weight:bold">${escapeHtml(pipeline.name)}</span>` +
+            `<span style="${cssMuted}">Loading&hellip;</span>`
+        );
+        return;
+    }
+
+    const def = getStateDef(summary.state);
+    const isStale = summary.level === STALENESS_STALE;
+    const {strokeColor} = extractColors(isStale ? def.staleStyle : def.style);
+    const cssDot = (
+        `display:inline-block;width:8px;height:8px;border-radius:50%;margin-right:6px;` +
+        `background-color:${strokeColor}`
+    );
+    const updated = summary.timestamp ? summary.timestamp.toLocaleTimeString() : '-';
+    row.innerHTML = (
+        `<span style="${cssCell};font-weight:bold">${escapeHtml(pipeline.name)}</span>` +
+        `<span style="${cssCell}"><span style="${cssDot}"></span>${escapeHtml(summary.state)}</span>` +
+        `<span id="${rowId}_progress"></span>` +
+        `<span style="${cssMuted}">${summary.done}/${summary.total} done</span>` +
+        `<span style="${cssMuted}" title="Status time">` +
+        `${summary.level === STALENESS_FRESH ? '' : `${summary.level} &middot; `}${updated}</span>`
+    );
+
+    const progressPercentage = summary.total ? Math.round(summary.done / summary.total * 100) : 0;
+    renderProgressBar(`${rowId}_progress`, progressPercentage, {
+        barColor: isStale ? config.staleBarColor :
+            summary.level === STALENESS_DELAYED ? config.delayedBarColor : config.barColor,
+        backgroundColor: config.bgColor,
+        height: '8px'
+    }, '');
+}
+
+/**
+ * Multi-Pipeline Overview
+ * Shows one compact row per pipeline with its name, aggregate state, progress, staleness
+ * and status time. Selecting a row shows the full DAG of the pipeline. All pipelines are
+ * polled by one shared scheduler (see createScheduler).
+ *
+ * @param {string} containerId - ID of the HTML element to contain the overview
+ * @param {Array<string|Object>|string} pipelines - URLs of .mmd files, objects with url, name and
+ *        statusUrl (see createDiagramManager), or the URL of a JSON manifest with such a list
+ * @param {Object} opts - Configuration options
+ * @param {number} opts.interval_s - Update interval of each pipeline in seconds (default: 5)
+ * @param {number} opts.maxConcurrent - Maximum number of concurrent requests (default: 4)
+ * @param {string} opts.detailId - ID of an HTML element to show the DAG of the selected pipeline in (optional)
+ * @param {Object} opts.dagOptions - Options of createDAG for the selected pipeline (default: {})
+ * @param {Function} opts.onSelect - Called as onSelect(pipeline, diagramManager) when a row is selected (optional)
+ * @param {string} opts.barColor - Color of the progress bars (default: accent of the theme)
+ * @param {string} opts.staleBarColor - Color of the progress bars when stale (default: stale of the theme)
+ * @param {string} opts.delayedBarColor - Color of the progress bars when delayed (default: delayed of the theme)
+ * @param {string} opts.bgColor - Background color of the progress bars (default: track of the theme)
+ * @param {string} opts.textColor - Color of the pipeline names (default: text of the theme)
+ * @param {string} opts.mutedColor - Color of the secondary columns (default: mutedText of the theme)
+ * @param {string} opts.selectedColor - Background color of the selected row (default: highlight of the theme)
+ * @param {string} opts.borderColor - Color of the row separators (default: border of the theme)
+ * @param {string} opts.fontSize - Font size of the rows (default: '13px')
+ */
+function createOverview(containerId, pipelines, opts = {}) {
+    const config = {
+        interval_s: 5,
+        maxConcurrent: 4,
+        detailId: undefined,
+        dagOptions: {},
+        onSelect: undefined,
+        fontSize: '13px',
+        ...opts
+    };
+    const scheduler = createScheduler({maxConcurrent: config.maxConcurrent});
+    const rows = [];
+    let selected = null;
+    let dagCleanup = null;
+    let stopped = false;
+
+    const rowId = index => `${containerId}_row${index}`;
+
+    // Colors that are not configured are taken from the theme
+    function getColors() {
+        const theme = getTheme();
+        return {
+            barColor: theme.accent,
+            staleBarColor: theme.stale,
+            delayedBarColor: theme.delayed,
+            bgColor: theme.track,
+            textColor: theme.text,
+            mutedColor: theme.mutedText,
+            selectedColor: theme.highlight,
+            borderColor: theme.border,
+            ...config
+        };
+    }
+
+    function renderRow(row) {
+        const summary = row.content === null ? null :
+            summarizePipeline(row.content, row.manager.getStaleness().level);
+        renderOverviewRow(rowId(row.index), row.pipeline, summary, getColors());
+    }
+
+    function styleRows() {
+        const colors = getColors();
+        rows.forEach(row => {
+            const element = document.getElementById(rowId(row.index));
+            element.style.color = colors.textColor;
+            element.style.borderBottomColor = colors.borderColor;
+            element.style.backgroundColor = row === selected ? colors.selectedColor : '';
+            renderRow(row);
+        });
+    }
+
+    function select(row) {
+        if (selected) document.getElementById(rowId(selected.index)).style.backgroundColor = '';
+        selected = row;
+        document.getElementById(rowId(row.index)).style.backgroundColor = getColors().selectedColor;
+
+        if (config.onSelect) config.onSelect(row.pipeline, row.manager);
+        if (config.detailId) {
+            // The manager keeps polling for the overview, so the DAG is rendered right away
+            dagCleanup?.();
+            dagCleanup = createDAG(row.manager, config.detailId, config.dagOptions);
+        }
+    }
+
+    function addRows(entries) {
+        const colors = getColors();
+        const cssRow = (
+            `display:grid;grid-template-columns:minmax(8em,2fr) minmax(6em,1fr) minmax(6em,2fr) ` +
+            `minmax(5em,1fr) minmax(6em,1fr);gap:12px;align-items:center;padding:2px 8px;` +
+            `border-bottom:1px solid ${colors.borderColor};cursor:pointer;color:${colors.textColor};` +
+            `font-size:${config.fontSize};font-family:'trebuchet ms',verdana,arial,sans-serif`
+        );
+        document.getElementById(containerId).innerHTML = entries.map((_, index) => (
+            `<div id="${rowId(index)}" style="${cssRow}" role="button" tabindex="0"></div>`
+        )).join('');
+
+        entries.forEach((pipeline, index) => {
+            const manager = createDiagramManager(pipeline.url, config.interval_s, {
+                scheduler,
+                statusUrl: pipeline.statusUrl
+            });
+            const row = {index, pipeline, manager, content: null};
+            const update = fileContent => {
+                row.content = fileContent;
+                renderRow(row);
+            };
+            row.unsubscribe = [manager.onRedraw(update), manager.onUpdate(update)];
+
+            const element = document.getElementById(rowId(index));
+            element.addEventListener('click', () => select(row));
+            element.addEventListener('keydown', event => {
+                if (event.key !== 'Enter' && event.key !== ' ') return;
+                event.preventDefault();
+                select(row);
+            });
+            rows.push(row);
+            renderRow(row);
+            manager.start();
+        });
+    }
+
+    if (typeof pipelines === 'string') {
+        const manifestUrl = new URL(pipelines, document.baseURI).href;
+        fetch(manifestUrl, {cache: 'no-store'})
+            .then(r => {
+                if (!r.ok) throw new Error(`HTTP ${r.status} while fetching ${manifestUrl}`);
+                return r.json();
+            })
+            .then(entries => {
+                if (!stopped) addRows(normalizePipelines(entries, manifestUrl));
+            })
+            .catch(error => console.error('Error loading pipeline manifest:', error));
+    } else {
+        addRows(normalizePipelines(pipelines, document.baseURI));
+    }
+    const unsubscribeTheme = onThemeChange(styleRows);
+
+    // Return cleanup function
+    return function cleanup() {
+        stopped = true;
+        unsubscribeTheme();
+        dagCleanup?.();
+        rows.forEach(row => {
+            row.unsubscribe.forEach(unsubscribe => unsubscribe());
+            row.manager.stop();
+        });
+    };
+}
\ No newline at end of file
@@ -0,0 +1,283 @@
+/**
+ * @requires the status format (applyStatusDelta, parseStatus, validateStatus), formatRecording, tokenizeFlowchart, extractDiagram and state constants from utils.js
+ */
+const fs = require('fs');
+const path = require('path');
+const {
+    STATE_RUNNING,
+    STATE_SUCCESS,
+    STATE_FAILED,
+    tokenizeFlowchart,
+    extractDiagram,
+    validateStatus,
+    parseStatus,
+    applyStatusDelta,
+    formatRecording
+} = require('./utils.js');
+
+// Opening and closing delimiters of the node shapes supported by node()
+const PRODUCER_SHAPES = {
+    round: ['(', ')'],
+    rect: ['[', ']'],
+    stadium: ['([', '])'],
+    subroutine: ['[[', ']]'],
+    circle: ['((', '))'],
+    rhombus: ['{', '}'],
+    hexagon: ['{{', '}}']
+};
+
+/**
+ * Quote a label for a Mermaid flowchart
+ * @param {string} label - Label text
+ * @returns {string} Quoted label, with double quotes as entity and line breaks as <br/>
+ */
+function quoteLabel(label) {
+    return `"${String(label).replace(/"/g, '#quot;').replace(/\r?\n/g, '<br/>')}"`;
+}
+
+/**
+ * Write a file atomically: readers see either the old or the new content, never a partial file
+ * @param {string} filePath - Path of the file
+ * @param {string} content - New content
+ */
+function writeFileAtomic(filePath, content) {
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+    try {
+        fs.writeFileSync(tempPath, content);
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        fs.rmSync(tempPath, {force: true});
+        throw error;
+    }
+}
+
+/**
+ * Pipeline Status Producer
+ * Writes a mermaid file with the status of a pipeline, as read by createDiagramManager.
+ * Blocks are defined with node() and edge(), or given as diagram text, and their states are
+ * reported with start(), succeed() and fail(). Each change is written right away. The status
+ * timestamp is refreshed every heartbeat_s seconds, so that the dashboard can tell a slow
+ * block from a stopped producer (see Staleness in the README). The file is replaced
+ * atomically, so a dashboard never fetches a partially written file.
+ *
+ * Statuses are written with applyStatusDelta: as "%% Block: State (12s)" comments, or as
+ * JSON status document if a block carries a message or other attributes. Blocks reported
+ * with start() carry their start timestamp, and their end timestamp once finished, so that
+ * the dashboard can advance their runtime between writes. Each write is parsed again with
+ * parseStatus and rejected if it does not round-trip.
+ *
+ * @param {string} filePath - Path of the mermaid file to write
+ * @param {Object} opts - Configuration options
+ * @param {string} opts.direction - Direction of the flowchart, e.g. 'LR' or 'TD' (default: 'LR')
+ * @param {string} opts.diagram - Diagram text defining the blocks, instead of node() and edge() (optional)
+ * @param {number|null} opts.heartbeat_s - Interval of refreshing the status timestamp in seconds, or null for never (default: 10)
+ * @param {string} opts.recordTo - Path of an NDJSON log to append each written content to, for replaying the run (optional, see parseRecording)
+ * @returns {Object} Producer with node, edge, start, succeed, fail, set, write and close methods
+ */
+function createProducer(filePath, opts = {}) {
+    const config = {
+        direction: 'LR',
+        diagram: undefined,
+        heartbeat_s: 10,
+        recordTo: undefined,
+        ...opts
+    };
+    const nodes = [];
+    const edges = [];
+    const blocks = new Map();  // Reported status of each block
+    const startTimes = new Map();
+    let heartbeatTimer = null;
+    let closed = false;
+
+    function diagramText() {
+        if (config.diagram !== undefined) return config.diagram.trim();
+        return [
+            `graph ${config.direction}`,
+            ...nodes.map(({id, label, shape}) => {
+                const [open, close] = PRODUCER_SHAPES[shape];
+                return `    ${id}${open}${quoteLabel(label)}${close}`;
+            }),
+            ...edges.map(({from, to, label}) => (
+                `    ${from} -->${label === undefined ? '' : `|${quoteLabel(label)}|`} ${to}`
+            ))
+        ].join('\n');
+    }
+
+    function blockIds() {
+        return new Set(tokenizeFlowchart(extractDiagram(diagramText())).nodes.keys());
+    }
+
+    function runtime(blockId) {
+        const startTime = startTimes.get(blockId);
+        return startTime === undefined ? undefined : Math.round((Date.now() - startTime) / 1000);
+    }
+
+    /**
+     * Generate the file content with the current status
+     * @returns {string} File content
+     */
+    function render() {
+        const entries = [...blocks].map(([blockId, entry]) => {
+            const current = {...entry};
+            if (entry.state === STATE_RUNNING && startTimes.has(blockId)) {
+                current.start = new Date(startTimes.get(blockId)).toISOString();
+                current.runtime = runtime(blockId);
+            }
+            return [blockId, current];
+        });
+        const content = applyStatusDelta(diagramText(), {
+            status: new Date().toISOString(),
+            blocks: Object.fromEntries(entries)
+        });
+
+        // Keep the producer in sync with the parser of the dashboard
+        const parsed = parseStatus(content);
+        const mismatch = entries.find(([blockId, entry]) => parsed.blocks.get(blockId)?.state !== entry.state);
+        if (parsed.errors.length || mismatch) {
+            throw new Error(`Status does not round-trip: ${parsed.errors.join('; ') || `block "${mismatch[0]}"`}`);
+        }
+        return content + '\n';
+    }
+
+    /**
+     * Write the file with the current status
+     */
+    function write() {
+        const content = render();
+        writeFileAtomic(filePath, content);
+        if (config.recordTo) fs.appendFileSync(config.recordTo, formatRecording([{time: Date.now(), content}]));
+    }
+
+    function checkOpen() {
+        if (closed) throw new Error('Producer is closed');
+    }
+
+    /**
+     * Add a block to the diagram
+     * @param {string} id - Block ID, letters, digits and underscores, optionally joined by single hyphens as in Mermaid
+     * @param {string} label - Label of the block (default: the ID)
+     * @param {string} shape - One of round, rect, stadium, subroutine, circle, rhombus and hexagon (default: 'round')
+     */
+    function node(id, label = id, shape = 'round') {
+        checkOpen();
+        if (config.diagram !== undefined) throw new Error('Blocks are defined by the diagram option');
+        if (!/^\w+(?:-\w+)*$/.test(id)) throw new Error(`Invalid block ID "${id}"`);
+        if (nodes.some(existing => existing.id === id)) throw new Error(`Block "${id}" already exists`);
+        if (!PRODUCER_SHAPES[shape]) throw new Error(`Unknown shape "${shape}"`);
+        nodes.push({id, label, shape});
+    }
+
+    /**
+     * Add an edge between two blocks
+     * @param {string} from - ID of the upstream block
+     * @param {string} to - ID of the downstream block
+     * @param {string} label - Label of the edge (optional)
+     */
+    function edge(from, to, label) {
+        checkOpen();
+        if (config.diagram !== undefined) throw new Error('Edges are defined by the diagram option');
+        [from, to].forEach(id => {
+            if (!nodes.some(existing => existing.id === id)) throw new Error(`Block "${id}" not found in the diagram`);
+        });
+        edges.push({from, to, label});
+    }
+
+    /**
+     * Report the status of a block, e.g. a custom state registered in the dashboard
+     * @param {string} blockId - Block ID
+     * @param {string} state - State name
+     * @param {Object} attributes - Further attributes of the block entry, e.g. message or logUrl (see validateStatus)
+     */
+    function set(blockId, state, attributes = {}) {
+        checkOpen();
+        const entry = {...attributes, state};
+        const {errors} = validateStatus({blocks: {[blockId]: entry}}, blockIds());
+        if (errors.length) throw new Error(errors.join('; '));
+
+        blocks.set(blockId, entry);
+        write();
+    }
+
+    /**
+     * Report that a block is running. Its runtime is counted from now.
+     * @param {string} blockId - Block ID
+     */
+    function start(blockId) {
+        const previous = startTimes.get(blockId);
+        startTimes.set(blockId, Date.now());
+        try {
+            set(blockId, STATE_RUNNING);
+        } catch (error) {
+            if (previous === undefined) startTimes.delete(blockId);
+            else startTimes.set(blockId, previous);
+            throw error;
+        }
+    }
+
+    // Finish a block with the start timestamp and the runtime since start()
+    function finish(blockId, state, attributes) {
+        const startTime = startTimes.get(blockId);
+        if (startTime === undefined) {
+            set(blockId, state, attributes);
+            return;
+        }
+        set(blockId, state, {
+            ...attributes,
+            start: new Date(startTime).toISOString(),
+            end: new Date().toISOString(),
+            runtime: runtime(blockId)
+        });
+    }
+
+    /**
+     * Report that a block succeeded
+     * @param {string} blockId - Block ID
+     */
+    function succeed(blockId) {
+        finish(blockId, STATE_SUCCESS, {});
+    }
+
+    /**
+     * Report that a block failed
+     * @param {string} blockId - Block ID
+     * @param {string} message - Error message, shown in the tooltip of the block (optional)
+     */
+    function fail(blockId, message) {
+        finish(blockId, STATE_FAILED, message === undefined ? {} : {message: String(message)});
+    }
+
+    /**
+     * Stop refreshing the status timestamp and write the final status
+     */
+    function close() {
+        if (closed) return;
+        clearInterval(heartbeatTimer);
+        write();
+        closed = true;
+    }
+
+    if (config.heartbeat_s) {
+        heartbeatTimer = setInterval(() => {
+            try {
+                write();
+            } catch (error) {
+                console.error('Error writing status heartbeat:', error);
+            }
+        }, config.heartbeat_s * 1000);
+        // The heartbeat does not keep the process alive
+        heartbeatTimer.unref?.();
+    }
+
+    return {
+        node,
+        edge,
+        start,
+        succeed,
+        fail,
+        set,
+        write,
+        close
+    };
+}
+
+module.exports = {createProducer};
\ No newline at end of file
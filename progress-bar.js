@@ -3,8 +3,9 @@
  * @param {string} containerId - ID of the container element
  * @param {number} progressPercentage - Progress percentage (0-100)
  * @param {Object} config - Configuration object with colors
+ * @param {string} label - Text to display (default: the percentage)
  */
-function renderProgressBar(containerId, progressPercentage, config) {
+function renderProgressBar(containerId, progressPercentage, config, label = `${progressPercentage}%`) {
     const height = config.height || '20px';
     
     // Calculate font size relative to height (roughly 60% of height)
@@ -14,7 +15,7 @@ function renderProgressBar(containerId, progressPercentage, config) {
     
     const cssContainer = (
         `width:100%;background-color:${config.backgroundColor};border-radius:8px;` +
-        `overflow:hidden;height:${height};margin:10px 0;border:1px solid #dee2e6;position:relative`
+        `overflow:hidden;height:${height};margin:10px 0;border:1px solid ${config.borderColor || getTheme().border};position:relative`
     );
     const cssBar = (
         `width:${progressPercentage}%;background-color:${config.barColor};` +
@@ -31,62 +32,212 @@ function renderProgressBar(containerId, progressPercentage, config) {
     document.getElementById(containerId).innerHTML = (
         `<div style="${cssContainer}">` +
         `<div style="${cssBar}"></div>` +
-        `<div style="${cssText}">${progressPercentage}%</div>` +
+        `<div style="${cssText}">${label}</div>` +
         `</div>`
     );
 }
 
+/**
+ * Format the estimated remaining time, e.g. "~14 min left"
+ * @param {number} seconds - Remaining time in seconds
+ * @returns {string} Formatted remaining time
+ */
+function formatEta(seconds) {
+    if (seconds < 59.5) return `~${Math.max(1, Math.round(seconds))} s left`;
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `~${minutes} min left`;
+    return `~${Math.floor(minutes / 60)} h ${minutes % 60} min left`;
+}
+
+/**
+ * Compute the remaining time along the critical path, i.e. the longest chain of blocks
+ * through the DAG weighted by their remaining durations
+ * @param {Map<string, number>} remaining - Map of block IDs to remaining seconds
+ * @param {Array<Object>} edges - Edges between blocks as returned by parseBlockEdges
+ * @returns {number} Remaining seconds until all blocks are expected to be done
+ */
+function remainingCriticalPath(remaining, edges) {
+    const downstream = new Map([...remaining.keys()].map(blockId => [blockId, []]));
+    edges.forEach(({from, to}) => {
+        if (downstream.has(from) && remaining.has(to)) downstream.get(from).push(to);
+    });
+    
+    const paths = new Map();
+    function path(blockId) {
+        if (paths.has(blockId)) return paths.get(blockId);
+        paths.set(blockId, 0);  // Guards against cycles
+        const longest = Math.max(0, ...downstream.get(blockId).map(path));
+        paths.set(blockId, remaining.get(blockId) + longest);
+        return paths.get(blockId);
+    }
+    return Math.max(0, ...[...remaining.keys()].map(path));
+}
+
 /**
  * Progress Bar Auto-Updater
- * Automatically updates a progress bar based on "Done" blocks in diagram.mmd
+ * Automatically updates a progress bar based on "Done" blocks in diagram.mmd. Whether a
+ * state counts as done is taken from the state registry (see registerState in utils.js).
  * 
- * @requires parseStates, createDiagramManager, getStatusAge, MAX_STATUS_AGE_S, and state constants from utils.js
+ * In duration mode, each block is weighted by its expected duration and the bar text shows
+ * the estimated remaining time along the critical path. Expected durations are taken from
+ * the "expected" attribute of the JSON status, the expectedDurations option or the runtimes
+ * of previous runs if a historyKey is given (in that order). Blocks without an expected 
+ * duration are weighted with the average of the known ones.
+ * 
+ * @requires parseStates, parseBlockEdges, getTimestamp, createDiagramManager, staleness constants, the theme, and the state registry from utils.js
  * 
  * @param {Object} diagramManager - Diagram manager instance from createDiagramManager
  * @param {string} containerId - ID of the HTML element to contain the progress bar
  * @param {Object} options - Configuration options
- * @param {string} options.barColor - Color of the progress bar (default: '#4472C4')
- * @param {string} options.bgColor - Background color of the progress bar (default: '#e9ecef')
- * @param {string} options.staleBarColor - Color of the progress bar when stale (default: '#9ca3af')
- * @param {string} options.staleBgColor - Background color when stale (default: '#f3f4f6')
+ * @param {string} options.barColor - Color of the progress bar (default: accent of the theme)
+ * @param {string} options.bgColor - Background color of the progress bar (default: track of the theme)
+ * @param {string} options.staleBarColor - Color of the progress bar when stale (default: stale of the theme)
+ * @param {string} options.staleBgColor - Background color when stale (default: staleTrack of the theme)
+ * @param {string} options.delayedBarColor - Progress bar color when delayed (default: delayed of the theme)
  * @param {string} options.height - Height of the progress bar (default: '20px')
- * @param {string} options.textColor - Color of the percentage text (default: 'white')
+ * @param {string} options.textColor - Color of the percentage text (default: barText of the theme)
+ * @param {string} options.mode - 'count' to count done blocks or 'duration' to weight them by expected duration (default: 'count')
+ * @param {Object} options.expectedDurations - Map of block IDs to expected durations in seconds (default: {})
+ * @param {string} options.historyKey - localStorage key to learn expected durations from previous runs (default: none)
+ * @param {boolean} options.showEta - Show the estimated remaining time in duration mode (default: true)
  */
 function createProgressBar(diagramManager, containerId, options = {}) {
     // Default configuration
     const config = {
-        barColor: options.barColor || '#4472C4',
-        bgColor: options.bgColor || '#e9ecef',
-        staleBarColor: options.staleBarColor || '#9ca3af',
-        staleBgColor: options.staleBgColor || '#f3f4f6',
+        barColor: options.barColor,
+        bgColor: options.bgColor,
+        staleBarColor: options.staleBarColor,
+        staleBgColor: options.staleBgColor,
+        delayedBarColor: options.delayedBarColor,
         height: options.height || '20px',
-        textColor: options.textColor || 'white'
+        textColor: options.textColor,
+        mode: options.mode || 'count',
+        expectedDurations: options.expectedDurations || {},
+        historyKey: options.historyKey,
+        showEta: options.showEta !== false
     };
     
+    const learnedKey = `${config.historyKey}:learned`;
+    let history = loadStored(config.historyKey);
+    let lastStates = null;
+    let lastContent = null;
+    
+    // Colors default to the active theme
+    function color(name, themeKey) {
+        return config[name] || getTheme()[themeKey];
+    }
+    
+    function loadStored(key) {
+        if (!config.historyKey) return {};
+        try {
+            return JSON.parse(localStorage.getItem(key)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    // Run a successful block belongs to: its end or start timestamp, or else the status
+    // timestamp at which this page saw it finish. Blocks that had already finished without
+    // timestamps when the page was opened cannot be told apart from a run learned before.
+    function runOf(blockId, block, fileContent) {
+        if (block.end || block.start) return block.end || block.start;
+        const previous = lastStates?.get(blockId);
+        if (!previous || previous.state === STATE_SUCCESS) return null;
+        return (getTimestamp(fileContent) || new Date()).toISOString();
+    }
+    
+    // Learn the runtime of each successful block once per run as moving average. The runs
+    // learned from are stored along with the durations, so that reloads and other pages with
+    // the same historyKey do not learn the same run again.
+    function learnDurations(fileContent, blockStates) {
+        if (!config.historyKey) return;
+        history = loadStored(config.historyKey);
+        const learned = loadStored(learnedKey);
+        let changed = false;
+        blockStates.forEach((block, blockId) => {
+            if (block.state !== STATE_SUCCESS || !(block.runtime >= 0)) return;
+            const run = runOf(blockId, block, fileContent);
+            if (run === null || learned[blockId] === run) return;
+            learned[blockId] = run;
+            const previous = history[blockId];
+            history[blockId] = previous >= 0 ? 0.7 * previous + 0.3 * block.runtime : block.runtime;
+            changed = true;
+        });
+        if (!changed) return;
+        try {
+            localStorage.setItem(config.historyKey, JSON.stringify(history));
+            localStorage.setItem(learnedKey, JSON.stringify(learned));
+        } catch (error) {
+            console.error('Error storing expected durations:', error);
+        }
+    }
+    
+    function durationProgress(fileContent, blockStates) {
+        const expected = new Map();
+        blockStates.forEach((block, blockId) => {
+            const duration = block.expected ?? config.expectedDurations[blockId] ?? history[blockId];
+            if (duration >= 0) expected.set(blockId, duration);
+        });
+        const known = [...expected.values()];
+        const fallback = known.length ? known.reduce((a, b) => a + b, 0) / known.length : 1;
+        
+        let total = 0;
+        let completed = 0;
+        const remaining = new Map();
+        blockStates.forEach((block, blockId) => {
+            const duration = expected.get(blockId) ?? fallback;
+            const def = getStateDef(block.state);
+            let left = duration;
+            if (def.done) left = 0;
+            else if (def.spinner) left = Math.max(0, duration - (block.runtime || 0));
+            total += duration;
+            completed += duration - left;
+            remaining.set(blockId, left);
+        });
+        
+        return {
+            progress: total > 0 ? completed / total : 0,
+            eta_s: remainingCriticalPath(remaining, parseBlockEdges(fileContent))
+        };
+    }
+    
     function updateProgressBar(fileContent) {
         try {
+            lastContent = fileContent;
+            
             // Parse block states using shared utility function
             const blockStates = parseStates(fileContent);
             
-            // Check if status is stale
-            const statusAge = getStatusAge(fileContent);
-            const isStale = statusAge !== null && statusAge >= MAX_STATUS_AGE_S;
-            
             // Choose colors based on staleness
+            const {level} = diagramManager.getStaleness();
+            const isStale = level === STALENESS_STALE;
             const currentConfig = {
-                barColor: isStale ? config.staleBarColor : config.barColor,
-                backgroundColor: isStale ? config.staleBgColor : config.bgColor,
+                barColor: isStale ? color('staleBarColor', 'stale') : 
+                    level === STALENESS_DELAYED ? color('delayedBarColor', 'delayed') : color('barColor', 'accent'),
+                backgroundColor: isStale ? color('staleBgColor', 'staleTrack') : color('bgColor', 'track'),
                 height: config.height,
-                textColor: config.textColor
+                textColor: color('textColor', 'barText')
             };
             
+            // Estimate with the durations of previous runs before learning from this one
+            if (config.mode === 'duration') {
+                const {progress, eta_s} = durationProgress(fileContent, blockStates);
+                learnDurations(fileContent, blockStates);
+                lastStates = blockStates;
+                const progress_pct = Math.round(progress * 100);
+                const showEta = config.showEta && !isStale && eta_s > 0;
+                const label = `${progress_pct}%` + (showEta ? ` &middot; ${formatEta(eta_s)}` : '');
+                renderProgressBar(containerId, progress_pct, currentConfig, label);
+                return;
+            }
+            
             // Calculate progress from block states
             let totalBlocks = 0;
             let completedBlocks = 0;
             
             blockStates.forEach((block, blockId) => {
                 totalBlocks++;
-                if (block.state === STATE_SUCCESS || block.state === STATE_FAILED) {
+                if (getStateDef(block.state).done) {
                     completedBlocks++;
                 }
             });
@@ -104,11 +255,18 @@ function createProgressBar(diagramManager, containerId, options = {}) {
         }
     }
     
-    // Subscribe to diagram manager for updates
+    // Subscribe to diagram manager for updates. Runtimes only matter in duration mode.
     const unsubscribe = diagramManager.onRedraw(updateProgressBar);
+    const unsubscribeUpdate = config.mode === 'duration' ? 
+        diagramManager.onUpdate(updateProgressBar) : () => {};
+    const unsubscribeTheme = onThemeChange(() => {
+        if (lastContent !== null) updateProgressBar(lastContent);
+    });
     
     // Return cleanup function
     return function cleanup() {
         unsubscribe();
+        unsubscribeUpdate();
+        unsubscribeTheme();
     };
 }
\ No newline at end of file
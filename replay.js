@@ -0,0 +1,133 @@
+/**
+ * Format the position of a replay, e.g. "22:03:15 (+01:23:45)"
+ * @param {number} time - Current time of the replay in milliseconds
+ * @param {number} start - Start time of the recording in milliseconds
+ * @returns {string} Time of day and offset from the start
+ */
+function formatReplayTime(time, start) {
+    return `${new Date(time).toLocaleTimeString()} (+${formatDuration((time - start) / 1000)})`;
+}
+
+/**
+ * Replay Controls
+ * Play/pause, speed control and a scrubber for a replay source. The diagram manager taking
+ * its content from the source (see the replay option of createDiagramManager) updates all
+ * components as if the recorded run was happening now:
+ *
+ *   const replay = createReplaySource(parseRecording(ndjsonText), {speed: 60});
+ *   const diagram = createDiagramManager(null, 0, {replay});
+ *   createDAG(diagram, 'diagram');
+ *   createReplayControls(replay, 'replay-controls');
+ *   diagram.start();
+ *
+ * @requires createReplaySource, formatDuration and the theme from utils.js
+ *
+ * @param {Object} replaySource - Replay source from createReplaySource
+ * @param {string} containerId - ID of the HTML element to contain the controls
+ * @param {Object} opts - Configuration options
+ * @param {Array<number>} opts.speeds - Selectable replay speeds (default: [1, 10, 60, 600])
+ * @param {string} opts.fontSize - Font size of the controls (default: '13px')
+ */
+function createReplayControls(replaySource, containerId, opts = {}) {
+    const config = {
+        speeds: [1, 10, 60, 600],
+        fontSize: '13px',
+        ...opts
+    };
+    const {start, end} = replaySource.getRange();
+    const times = replaySource.getTimes();
+    const speeds = [...new Set([...config.speeds, replaySource.getSpeed()])].sort((a, b) => a - b);
+    const cssButton = 'min-width:28px;height:28px;padding:0 6px;border:1px solid;border-radius:4px;cursor:pointer';
+
+    const container = document.getElementById(containerId);
+    container.innerHTML = (
+        `<div style="display:flex;align-items:center;gap:6px;font-size:${config.fontSize};` +
+        `font-family:'trebuchet ms',verdana,arial,sans-serif">` +
+        `<button type="button" data-replay="previous" title="Previous snapshot" style="${cssButton}">&#x23EE;</button>` +
+        `<button type="button" data-replay="play" style="${cssButton}"></button>` +
+        `<button type="button" data-replay="next" title="Next snapshot" style="${cssButton}">&#x23ED;</button>` +
+        `<input type="range" data-replay="scrubber" min="${start}" max="${end}" step="1000" ` +
+        `aria-label="Replay position" style="flex:1">` +
+        `<span data-replay="time" style="white-space:nowrap;font-variant-numeric:tabular-nums"></span>` +
+        `<select data-replay="speed" aria-label="Replay speed">` +
+        speeds.map(speed => `<option value="${speed}">${speed}&times;</option>`).join('') +
+        `</select>` +
+        `</div>`
+    );
+    const element = name => container.querySelector(`[data-replay="${name}"]`);
+    const playButton = element('play');
+    const scrubber = element('scrubber');
+    const timeLabel = element('time');
+    const speedSelect = element('speed');
+    let scrubbing = false;  // The scrubber is being dragged, from pointerdown until change
+
+    function applyTheme() {
+        const theme = getTheme();
+        container.firstChild.style.color = theme.text;
+        container.querySelectorAll('button, select').forEach(control => {
+            control.style.borderColor = theme.border;
+            control.style.color = theme.text;
+            control.style.background = theme.surface;
+        });
+        scrubber.style.accentColor = theme.accent;
+    }
+
+    function updateControls(content, time) {
+        const playing = replaySource.isPlaying();
+        playButton.innerHTML = playing ? '&#x23F8;' : '&#x25B6;';
+        playButton.title = playing ? 'Pause' : 'Play';
+        if (!scrubbing) scrubber.value = time;
+        timeLabel.textContent = formatReplayTime(time, start);
+        speedSelect.value = String(replaySource.getSpeed());
+    }
+
+    function handleClick(event) {
+        const action = event.target.closest('[data-replay]')?.dataset.replay;
+        const time = replaySource.now();
+        if (action === 'play') {
+            if (replaySource.isPlaying()) replaySource.pause();
+            else replaySource.play();
+        } else if (action === 'previous') {
+            replaySource.seek([...times].reverse().find(t => t < time) ?? start);
+        } else if (action === 'next') {
+            replaySource.seek(times.find(t => t > time) ?? end);
+        }
+    }
+
+    function handleScrub() {
+        replaySource.seek(Number(scrubber.value));
+    }
+
+    function handleScrubStart() {
+        scrubbing = true;
+    }
+
+    function handleScrubEnd() {
+        scrubbing = false;
+        scrubber.value = replaySource.now();
+    }
+
+    function handleSpeedChange() {
+        replaySource.setSpeed(Number(speedSelect.value));
+    }
+
+    container.addEventListener('click', handleClick);
+    scrubber.addEventListener('input', handleScrub);
+    scrubber.addEventListener('pointerdown', handleScrubStart);
+    scrubber.addEventListener('change', handleScrubEnd);
+    speedSelect.addEventListener('change', handleSpeedChange);
+    const unsubscribe = replaySource.subscribe(updateControls);
+    const unsubscribeTheme = onThemeChange(applyTheme);
+    applyTheme();
+
+    // Return cleanup function
+    return function cleanup() {
+        unsubscribe();
+        unsubscribeTheme();
+        container.removeEventListener('click', handleClick);
+        scrubber.removeEventListener('input', handleScrub);
+        scrubber.removeEventListener('pointerdown', handleScrubStart);
+        scrubber.removeEventListener('change', handleScrubEnd);
+        speedSelect.removeEventListener('change', handleSpeedChange);
+    };
+}
\ No newline at end of file
@@ -0,0 +1,106 @@
+/**
+ * Generate and render status badge HTML directly to the DOM
+ * @param {string} containerId - ID of the container element
+ * @param {string} label - Text to display
+ * @param {string} color - Color of the status dot
+ * @param {string} title - Tooltip text, e.g. the last error message
+ * @param {Object} config - Configuration object with colors
+ */
+function renderStatusBadge(containerId, label, color, title, config) {
+    const cssBadge = (
+        `display:inline-flex;align-items:center;gap:6px;padding:2px 10px;` +
+        `border-radius:12px;border:1px solid ${config.borderColor};background-color:${config.bgColor};` +
+        `color:${config.textColor};font-size:${config.fontSize};` +
+        `font-family:'trebuchet ms',verdana,arial,sans-serif`
+    );
+    const cssDot = (
+        `width:8px;height:8px;border-radius:50%;background-color:${color}`
+    );
+
+    // The container does not exist yet if the badge is created in the page header
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    container.innerHTML = (
+        `<span style="${cssBadge}" title="${escapeHtml(title)}">` +
+        `<span style="${cssDot}"></span>${escapeHtml(label)}` +
+        `</span>`
+    );
+}
+
+/**
+ * Connection Status Badge
+ * Displays the connection state of a diagram manager, e.g. next to the DAG
+ *
+ * @requires createDiagramManager, escapeHtml, the theme, and connection state constants from utils.js
+ *
+ * @param {Object} diagramManager - Diagram manager instance from createDiagramManager
+ * @param {string} containerId - ID of the HTML element to contain the badge
+ * @param {Object} options - Configuration options
+ * @param {Object} options.labels - Text per connection state (default: e.g. {connected: 'Live'})
+ * @param {Object} options.colors - Dot color per connection state (default: e.g. {connected: success of the theme})
+ * @param {string} options.bgColor - Background color of the badge (default: surface of the theme)
+ * @param {string} options.textColor - Color of the badge text (default: text of the theme)
+ * @param {string} options.borderColor - Border color of the badge (default: border of the theme)
+ * @param {string} options.fontSize - Font size of the badge text (default: '12px')
+ */
+function createStatusBadge(diagramManager, containerId, options = {}) {
+    // Default configuration
+    const labels = {
+        [CONN_CONNECTING]: 'Connecting',
+        [CONN_CONNECTED]: 'Live',
+        [CONN_RETRYING]: 'Reconnecting',
+        [CONN_HTTP_ERROR]: 'Server error',
+        [CONN_PARSE_ERROR]: 'Invalid data',
+        [CONN_STOPPED]: 'Stopped',
+        [CONN_REPLAY]: 'Replay',
+        ...options.labels
+    };
+    let lastError;
+
+    // Colors are taken from the theme when rendering, so the badge follows theme changes
+    function getConfig() {
+        const theme = getTheme();
+        return {
+            colors: {
+                [CONN_CONNECTING]: theme.stale,
+                [CONN_CONNECTED]: theme.success,
+                [CONN_RETRYING]: theme.warning,
+                [CONN_HTTP_ERROR]: theme.failed,
+                [CONN_PARSE_ERROR]: theme.failed,
+                [CONN_STOPPED]: theme.stale,
+                [CONN_REPLAY]: theme.accent,
+                ...options.colors
+            },
+            bgColor: options.bgColor || theme.surface,
+            textColor: options.textColor || theme.text,
+            borderColor: options.borderColor || theme.border,
+            fontSize: options.fontSize || '12px'
+        };
+    }
+
+    function updateStatusBadge(status, error) {
+        const config = getConfig();
+        const label = labels[status] || status;
+        const color = config.colors[status] || config.colors[CONN_STOPPED];
+        lastError = error;
+        renderStatusBadge(containerId, label, color, error ? error.message : label, config);
+    }
+
+    function renderCurrentStatus() {
+        updateStatusBadge(diagramManager.getStatus(), lastError);
+    }
+
+    renderCurrentStatus();
+    document.addEventListener('DOMContentLoaded', renderCurrentStatus);
+
+    // Subscribe to diagram manager for connection state changes
+    const unsubscribe = diagramManager.onStatus(updateStatusBadge);
+    const unsubscribeTheme = onThemeChange(renderCurrentStatus);
+
+    // Return cleanup function
+    return function cleanup() {
+        unsubscribe();
+        unsubscribeTheme();
+        document.removeEventListener('DOMContentLoaded', renderCurrentStatus);
+    };
+}
\ No newline at end of file
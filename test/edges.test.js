@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    EDGE_DEFAULT,
+    EDGE_ACTIVE,
+    EDGE_DONE,
+    EDGE_FAILED,
+    tokenizeFlowchart,
+    parseEdgeStates,
+    getLineage,
+    parseBlockEdges,
+    buildStyledDiagram
+} = require('../utils.js');
+
+const PIPELINE = `graph LR
+    Read --> Convert
+    Convert --> Write
+    Write ~~~ Report
+    Read -.-> Copy
+    Copy == backup ==> Archive
+%% Read: Success (2s)
+%% Convert: Failed (1s)
+%% Copy: Running (3s)
+`;
+
+test('links are typed in the order Mermaid numbers them', () => {
+    const {edges} = tokenizeFlowchart(PIPELINE);
+    assert.deepStrictEqual(edges.map(edge => edge.type), ['normal', 'normal', 'invisible', 'dotted', 'thick']);
+});
+
+test('edges take the state of their blocks', () => {
+    assert.deepStrictEqual(parseEdgeStates(PIPELINE).map(edge => edge.state), [
+        EDGE_DONE,  // Out of the succeeded Read
+        EDGE_FAILED,  // Downstream of the failed Convert
+        EDGE_DEFAULT,  // Invisible links are never styled
+        EDGE_ACTIVE,  // Into the running Copy
+        EDGE_DEFAULT
+    ]);
+});
+
+test('linkStyle statements address edges by index and skip invisible links', () => {
+    const linkStyles = buildStyledDiagram(PIPELINE).split('\n').filter(line => line.startsWith('linkStyle'));
+    assert.deepStrictEqual(linkStyles.map(line => line.split(' ')[1]), ['0', '1', '3']);
+    assert.match(linkStyles[2], /stroke-dasharray/);
+    assert.ok(!buildStyledDiagram(PIPELINE, {edgeStatus: false}).includes('linkStyle'));
+});
+
+test('the lineage follows edges in both directions but not invisible links', () => {
+    const lineage = getLineage(PIPELINE, 'Convert');
+    assert.deepStrictEqual([...lineage.upstream], ['Read']);
+    assert.deepStrictEqual([...lineage.downstream], ['Write']);
+    assert.deepStrictEqual([...lineage.edges].sort(), [0, 1]);
+});
+
+test('block edges expand subgraphs to the blocks they contain', () => {
+    const grouped = `graph LR
+    subgraph Load
+        Read
+        subgraph Fetch
+            Download
+        end
+    end
+    Load --> Convert
+    Convert --> Write
+    Read --> Convert
+    Write ~~~ Report
+`;
+    assert.deepStrictEqual(parseBlockEdges(grouped), [
+        {from: 'Read', to: 'Convert'},
+        {from: 'Download', to: 'Convert'},
+        {from: 'Convert', to: 'Write'}
+    ]);
+});
\ No newline at end of file
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const {CONN_RETRYING, createDiagramManager} = require('../utils.js');
+
+// Local server answering with the given handler, closed after the test
+function serve(t, handler) {
+    const server = http.createServer(handler);
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${server.address().port}/pipeline.mmd`);
+    }));
+}
+
+test('requests without a response are aborted and retried', async t => {
+    let requests = 0;
+    const url = await serve(t, () => requests++);
+    const manager = createDiagramManager(url, 0.05, {requestTimeout_s: 0.1});
+    const errors = [];
+    const statuses = [];
+    manager.onStatus(status => statuses.push(status));
+    await new Promise(resolve => {
+        manager.onError(error => {
+            errors.push(error);
+            if (errors.length === 2) resolve();
+        });
+        manager.start();
+    });
+    manager.stop();
+
+    assert.strictEqual(requests, 2);
+    assert.strictEqual(errors[0].status, CONN_RETRYING);
+    assert.match(errors[0].message, /No response within 0.1s/);
+    assert.ok(statuses.includes(CONN_RETRYING));
+});
+
+test('stream transports need a stream URL', () => {
+    assert.throws(() => createDiagramManager('pipeline.mmd', 1, {transport: 'sse'}),
+        /The sse transport needs a streamUrl/);
+    assert.throws(() => createDiagramManager('pipeline.mmd', 1, {transport: 'websocket'}),
+        /The websocket transport needs a streamUrl/);
+    createDiagramManager('pipeline.mmd', 1, {transport: 'sse', streamUrl: '/pipeline/events'});
+});
\ No newline at end of file
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {createProducer} = require('../producer.js');
+const {
+    STATE_RUNNING,
+    STATE_SUCCESS,
+    STATE_FAILED,
+    tokenizeFlowchart,
+    extractDiagram,
+    parseStatus,
+    parseStates
+} = require('../utils.js');
+
+function tempFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dagmaid-test-'));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    return path.join(dir, 'pipeline.mmd');
+}
+
+test('nodes, edges and quoted labels are parsed back by the dashboard', t => {
+    const file = tempFile(t);
+    const producer = createProducer(file, {heartbeat_s: null});
+    producer.node('read-data', 'Read "raw"\nfiles', 'stadium');
+    producer.node('Convert', 'Convert [x] (y)', 'hexagon');
+    producer.node('Write');
+    producer.edge('read-data', 'Convert', 'go "now"');
+    producer.edge('Convert', 'Write');
+    producer.succeed('read-data');
+    producer.close();
+
+    const content = fs.readFileSync(file, 'utf8');
+    const {nodes, edges} = tokenizeFlowchart(extractDiagram(content));
+    assert.deepStrictEqual([...nodes.keys()], ['read-data', 'Convert', 'Write']);
+    assert.strictEqual(nodes.get('read-data').labels[0].text, 'Read #quot;raw#quot;<br/>files');
+    assert.strictEqual(nodes.get('Convert').labels[0].text, 'Convert [x] (y)');
+    assert.deepStrictEqual(edges.map(({from, to}) => [from, to]), [['read-data', 'Convert'], ['Convert', 'Write']]);
+
+    const {blocks, errors} = parseStatus(content);
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(blocks.get('read-data').state, STATE_SUCCESS);
+    assert.strictEqual(parseStates(content).get('Write').state, 'Waiting');
+});
+
+test('fail() keeps messages with quotes and line breaks', t => {
+    const file = tempFile(t);
+    const producer = createProducer(file, {diagram: 'graph LR\n    A --> B', heartbeat_s: null});
+    producer.start('A');
+    producer.fail('A', 'disk "full"\nsee %% log');
+
+    const block = parseStates(fs.readFileSync(file, 'utf8')).get('A');
+    assert.strictEqual(block.state, STATE_FAILED);
+    assert.strictEqual(block.message, 'disk "full"\nsee %% log');
+    assert.ok(block.runtime >= 0);
+});
+
+test('unknown blocks, states and IDs are rejected without writing', t => {
+    const file = tempFile(t);
+    const producer = createProducer(file, {heartbeat_s: null});
+    producer.node('A');
+    assert.throws(() => producer.node('A'), /already exists/);
+    assert.throws(() => producer.node('a b'), /Invalid block ID/);
+    assert.throws(() => producer.node('B', 'B', 'star'), /Unknown shape/);
+    assert.throws(() => producer.edge('A', 'Missing'), /not found/);
+    assert.throws(() => producer.start('Missing'), /not found in the diagram/);
+    assert.throws(() => producer.set('A', 'Bogus'), /unknown state "Bogus"/);
+    assert.strictEqual(fs.existsSync(file), false);
+
+    producer.close();
+    assert.throws(() => producer.start('A'), /closed/);
+});
+
+test('writes are atomic and leave no temporary files', t => {
+    const file = tempFile(t);
+    const dir = path.dirname(file);
+    const producer = createProducer(file, {diagram: 'graph LR\n    A --> B', heartbeat_s: null});
+    producer.start('A');
+    assert.deepStrictEqual(fs.readdirSync(dir), ['pipeline.mmd']);
+
+    // Renaming over a directory fails, and the temporary file must be removed
+    fs.rmSync(file);
+    fs.mkdirSync(file);
+    assert.throws(() => producer.succeed('A'));
+    assert.deepStrictEqual(fs.readdirSync(dir), ['pipeline.mmd']);
+    assert.ok(fs.statSync(file).isDirectory());
+});
+
+test('recordTo appends each write as NDJSON', t => {
+    const file = tempFile(t);
+    const log = path.join(path.dirname(file), 'run.ndjson');
+    const producer = createProducer(file, {diagram: 'graph LR\n    A --> B', heartbeat_s: null, recordTo: log});
+    producer.start('A');
+    producer.succeed('A');
+
+    const entries = fs.readFileSync(log, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(entries.length, 2);
+    assert.strictEqual(entries[1].content, fs.readFileSync(file, 'utf8'));
+});
+
+test('started blocks carry their start and end timestamps', t => {
+    const file = tempFile(t);
+    const producer = createProducer(file, {diagram: 'graph LR\n    A --> B', heartbeat_s: null});
+    const before = Date.now();
+    producer.start('A');
+    const running = parseStates(fs.readFileSync(file, 'utf8')).get('A');
+    assert.strictEqual(running.state, STATE_RUNNING);
+    assert.ok(new Date(running.start).getTime() >= before - 1000);
+    assert.strictEqual(running.end, undefined);
+
+    producer.succeed('A');
+    const finished = parseStates(fs.readFileSync(file, 'utf8')).get('A');
+    assert.strictEqual(finished.start, running.start);
+    assert.ok(new Date(finished.end).getTime() >= new Date(finished.start).getTime());
+    assert.ok(finished.runtime >= 0);
+});
\ No newline at end of file
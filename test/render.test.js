@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {execFileSync, spawnSync} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {THEMES, buildStyledDiagram} = require('../utils.js');
+
+const CLI = path.join(__dirname, '..', 'bin', 'dagmaid.js');
+const EXAMPLE = path.join(__dirname, '..', 'example.mmd');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dagmaid-test-'));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    return dir;
+}
+
+test('buildStyledDiagram adds the theme, status lines and state classes', () => {
+    const styled = buildStyledDiagram(fs.readFileSync(EXAMPLE, 'utf8'));
+    assert.match(styled, /^---\nconfig:\n {2}theme: 'base'/);
+    assert.match(styled, new RegExp(`background: '${THEMES.light.background}'`));
+    assert.match(styled, /<span id='Read_text'>00:33:20<\/span>/);
+    assert.match(styled, /<img id='Write_spinner'/);
+    assert.doesNotMatch(styled, /<img id='Cleanup_spinner'/);
+    assert.match(styled, /^class Read,Convert,Analyze success$/m);
+    assert.match(styled, /^class Copy failed$/m);
+    assert.match(styled, /^classDef success fill:[^\n]*stroke:#28a745/m);
+    assert.match(styled, /^linkStyle \d+(,\d+)* /m);
+});
+
+test('render writes the styled diagram to stdout', () => {
+    const stdout = execFileSync(process.execPath, [CLI, 'render', EXAMPLE], {encoding: 'utf8'});
+    assert.strictEqual(stdout, buildStyledDiagram(fs.readFileSync(EXAMPLE, 'utf8')) + '\n');
+});
+
+test('render applies a status document and options to a .mmd file', t => {
+    const dir = tempDir(t);
+    const statusFile = path.join(dir, 'status.json');
+    const output = path.join(dir, 'out.mmd');
+    fs.writeFileSync(statusFile, JSON.stringify({
+        status: '2025-10-05T22:05:00Z',
+        blocks: {Write: {state: 'Success', runtime: 20}}
+    }));
+    execFileSync(process.execPath, [
+        CLI, 'render', EXAMPLE, '-o', output, '-s', statusFile, '-t', 'dark', '--no-edge-status'
+    ]);
+
+    const styled = fs.readFileSync(output, 'utf8');
+    assert.match(styled, new RegExp(`background: '${THEMES.dark.background}'`));
+    assert.match(styled, /<span id='Write_text'>00:00:20<\/span>/);
+    assert.doesNotMatch(styled, /<img id='Write_spinner'/);
+    assert.match(styled, /^class Read,Convert,Analyze,Write success$/m);
+    assert.doesNotMatch(styled, /^linkStyle /m);
+});
+
+test('render reports usage errors and missing files', () => {
+    const run = args => spawnSync(process.execPath, [CLI, ...args], {encoding: 'utf8'});
+    const unknownFormat = run(['render', EXAMPLE, '-o', 'out.txt']);
+    assert.strictEqual(unknownFormat.status, 2);
+    assert.match(unknownFormat.stderr, /Unknown output format "txt"/);
+    assert.strictEqual(run(['render', EXAMPLE, '--staleness', 'old']).status, 2);
+    assert.strictEqual(run(['draw', EXAMPLE]).status, 2);
+
+    const missing = run(['render', path.join(os.tmpdir(), 'dagmaid-missing.mmd')]);
+    assert.strictEqual(missing.status, 1);
+    assert.match(missing.stderr, /ENOENT/);
+});
\ No newline at end of file
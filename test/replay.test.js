@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    parseRecording,
+    formatRecording,
+    createReplaySource,
+    createDiagramManager
+} = require('../utils.js');
+
+const START = Date.parse('2025-10-05T22:00:00Z');
+
+// Snapshot of a two-block pipeline written the given number of seconds after START
+function snapshot(offset_s, stateA, stateB = 'Waiting') {
+    const status = new Date(START + offset_s * 1000).toISOString();
+    return `graph LR\n    A --> B\n%% Status: ${status}\n%% A: ${stateA}\n%% B: ${stateB}\n`;
+}
+
+const RECORDING = [
+    snapshot(0, 'Running'),
+    snapshot(60, 'Success (60s)', 'Running'),
+    snapshot(120, 'Success (60s)', 'Failed (60s)')
+];
+
+test('recordings round-trip through NDJSON', () => {
+    const snapshots = RECORDING.map((content, index) => ({time: START + index * 60000, content}));
+    const text = formatRecording(snapshots);
+    assert.strictEqual(text.split('\n').length, 4);
+    assert.deepStrictEqual(parseRecording(text), snapshots);
+
+    // Lines are sorted by time and blank lines are skipped
+    const [first, second] = text.split('\n');
+    assert.deepStrictEqual(parseRecording(`${second}\n\n${first}\n`), snapshots.slice(0, 2));
+    assert.throws(() => parseRecording(`${first}\n{"time": "soon"}`), /Recording line 2: expected time and content/);
+    assert.throws(() => parseRecording('not json'), /Recording line 1/);
+});
+
+test('seeking sets the clock within the recording', () => {
+    const replay = createReplaySource(RECORDING.slice().reverse());
+    const received = [];
+    replay.subscribe((content, time) => received.push([content, time]));
+    assert.deepStrictEqual(replay.getRange(), {start: START, end: START + 120000});
+    assert.deepStrictEqual(replay.getTimes(), [START, START + 60000, START + 120000]);
+    assert.deepStrictEqual(received, [[RECORDING[0], START]]);
+
+    replay.seek(START + 90000);
+    assert.deepStrictEqual(received[1], [RECORDING[1], START + 90000]);
+    replay.seek(START + 1e9);
+    assert.strictEqual(replay.now(), START + 120000);
+    replay.seek(0);
+    assert.deepStrictEqual(received[3], [RECORDING[0], START]);
+    assert.throws(() => createReplaySource([]), /Recording is empty/);
+    assert.throws(() => createReplaySource(['graph LR\n    A\n']), /Snapshot 1 has no time/);
+});
+
+test('playing advances the clock at the replay speed until paused or at the end', t => {
+    t.mock.timers.enable({apis: ['setInterval', 'Date'], now: 0});
+    const replay = createReplaySource(RECORDING, {speed: 60, tick_s: 0.25});
+    const times = [];
+    replay.subscribe((content, time) => times.push(time - START));
+
+    replay.play();
+    assert.strictEqual(replay.isPlaying(), true);
+    t.mock.timers.tick(250);
+    t.mock.timers.tick(250);
+    assert.strictEqual(replay.now() - START, 30000);
+
+    replay.setSpeed(120);
+    assert.strictEqual(replay.getSpeed(), 120);
+    t.mock.timers.tick(250);
+    assert.strictEqual(replay.now() - START, 60000);
+
+    replay.pause();
+    assert.strictEqual(replay.isPlaying(), false);
+    t.mock.timers.tick(1000);
+    assert.strictEqual(replay.now() - START, 60000);
+
+    // Playing on reaches the end and pauses there, playing again starts over
+    replay.play();
+    t.mock.timers.tick(1000);
+    assert.strictEqual(replay.now() - START, 120000);
+    assert.strictEqual(replay.isPlaying(), false);
+    replay.play();
+    assert.strictEqual(replay.now(), START);
+    replay.pause();
+    assert.deepStrictEqual(times.slice(0, 4), [0, 0, 15000, 30000]);
+});
+
+test('rewinding a replay does not notify transitions', () => {
+    const replay = createReplaySource(RECORDING);
+    const manager = createDiagramManager(null, 0, {replay});
+    const transitions = [];
+    manager.onTransition((blockId, fromState, toState) => transitions.push(`${blockId}: ${fromState} -> ${toState}`));
+    manager.start();
+
+    replay.seek(START + 120000);
+    replay.seek(START);
+    replay.seek(START + 60000);
+    manager.stop();
+    assert.deepStrictEqual(transitions, [
+        'A: Running -> Success',
+        'B: Waiting -> Failed',
+        'A: Running -> Success',
+        'B: Waiting -> Running'
+    ]);
+});
\ No newline at end of file
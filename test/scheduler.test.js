@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {createScheduler, createDiagramManager} = require('../utils.js');
+
+// Job that runs until its promise is settled from the outside
+function pendingJob(log, name) {
+    let settle;
+    const run = () => {
+        log.push(name);
+        return new Promise((resolve, reject) => {
+            settle = {resolve, reject};
+        });
+    };
+    return {run, settle: (...args) => settle.resolve(...args), fail: error => settle.reject(error)};
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test('at most maxConcurrent jobs run at the same time, earliest first', async () => {
+    const scheduler = createScheduler({maxConcurrent: 2});
+    const log = [];
+    const jobs = ['a', 'b', 'c', 'd'].map(name => pendingJob(log, name));
+    jobs.forEach((job, index) => scheduler.schedule(job.run, index * 0.001));
+    await tick();
+    assert.deepStrictEqual(log, ['a', 'b']);
+
+    jobs[1].settle();
+    await tick();
+    assert.deepStrictEqual(log, ['a', 'b', 'c']);
+    jobs[0].settle();
+    jobs[2].settle();
+    await tick();
+    assert.deepStrictEqual(log, ['a', 'b', 'c', 'd']);
+});
+
+test('a rejected job frees its slot', async t => {
+    const logged = t.mock.method(console, 'error', () => {});
+    const scheduler = createScheduler({maxConcurrent: 1});
+    const log = [];
+    const first = pendingJob(log, 'first');
+    scheduler.schedule(first.run, 0);
+    scheduler.schedule(() => log.push('second'), 0);
+    await tick();
+    assert.deepStrictEqual(log, ['first']);
+
+    first.fail(new Error('boom'));
+    await tick();
+    assert.deepStrictEqual(log, ['first', 'second']);
+    assert.strictEqual(logged.mock.callCount(), 1);
+});
+
+test('cancelled jobs do not run', async () => {
+    const scheduler = createScheduler();
+    const log = [];
+    const cancel = scheduler.schedule(() => log.push('cancelled'), 0.005);
+    scheduler.schedule(() => log.push('kept'), 0.005);
+    cancel();
+    await tick();
+    assert.deepStrictEqual(log, ['kept']);
+});
+
+test('stopping a manager cancels its scheduled poll', () => {
+    const scheduled = [];
+    const scheduler = {
+        schedule(run, delay_s) {
+            const job = {run, delay_s, cancelled: false};
+            scheduled.push(job);
+            return () => {
+                job.cancelled = true;
+            };
+        }
+    };
+    const manager = createDiagramManager('pipeline.mmd', 5, {scheduler});
+    manager.start();
+    assert.strictEqual(scheduled.length, 1);
+    assert.strictEqual(scheduled[0].delay_s, 0);
+    manager.stop();
+    assert.strictEqual(scheduled[0].cancelled, true);
+});
\ No newline at end of file
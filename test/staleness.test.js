@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    STALENESS_FRESH,
+    STALENESS_DELAYED,
+    STALENESS_STALE,
+    getStalenessPolicy,
+    stalenessLevel,
+    parseStatus,
+    createDiagramManager
+} = require('../utils.js');
+
+const DEFAULTS = {warnAfter_s: null, staleAfter_s: 60};
+const policy = directive => getStalenessPolicy(`graph LR\n    A\n${directive}\n`, DEFAULTS);
+
+test('the StaleAfter directive overrides the default thresholds', () => {
+    assert.deepStrictEqual(policy(''), {warnAfter_s: null, staleAfter_s: 60});
+    assert.deepStrictEqual(policy('%% StaleAfter: 15m'), {warnAfter_s: 450, staleAfter_s: 900});
+    assert.deepStrictEqual(policy('%% StaleAfter: 1h, warn 90s'), {warnAfter_s: 90, staleAfter_s: 3600});
+    assert.deepStrictEqual(policy('%% StaleAfter: 2.5m,warn 1m'), {warnAfter_s: 60, staleAfter_s: 150});
+    assert.deepStrictEqual(policy('%% StaleAfter: off'), {warnAfter_s: null, staleAfter_s: null});
+});
+
+test('malformed StaleAfter directives are reported', () => {
+    const error = /Malformed staleness directive/;
+    assert.match(policy('%% StaleAfter: garbage').error, error);
+    assert.strictEqual(policy('%% StaleAfter: garbage').staleAfter_s, 60);
+    assert.deepStrictEqual({...policy('%% StaleAfter: 10m, warn soon'), error: undefined},
+        {warnAfter_s: 300, staleAfter_s: 600, error: undefined});
+    assert.match(policy('%% StaleAfter: 10m, warn soon').error, error);
+    assert.match(policy('%% StaleAfter: 10m, warn 1m, 2m').error, error);
+
+    const {errors} = parseStatus('graph LR\n    A\n%% StaleAfter: 5 minutes\n%% A: Running\n');
+    assert.deepStrictEqual(errors, ['Malformed staleness directive "%% StaleAfter: 5 minutes"']);
+});
+
+test('levels change once an age exceeds a threshold', () => {
+    const thresholds = {warnAfter_s: 30, staleAfter_s: 60};
+    assert.strictEqual(stalenessLevel(null, thresholds), STALENESS_FRESH);
+    assert.strictEqual(stalenessLevel(30, thresholds), STALENESS_FRESH);
+    assert.strictEqual(stalenessLevel(30.001, thresholds), STALENESS_DELAYED);
+    assert.strictEqual(stalenessLevel(60, thresholds), STALENESS_DELAYED);
+    assert.strictEqual(stalenessLevel(60.001, thresholds), STALENESS_STALE);
+    assert.strictEqual(stalenessLevel(1e9, {warnAfter_s: null, staleAfter_s: null}), STALENESS_FRESH);
+    assert.strictEqual(stalenessLevel(45, {warnAfter_s: null, staleAfter_s: 60}), STALENESS_FRESH);
+});
+
+// Manager replaying contents at given times, so that the clock can be set by the test
+function replayManager(opts) {
+    let time = 0;
+    let deliver = null;
+    const replay = {
+        now: () => time,
+        subscribe(callback) {
+            deliver = callback;
+            return () => {};
+        }
+    };
+    const manager = createDiagramManager(null, 0, {replay, staleAfter_s: 60, ...opts});
+    manager.start();
+    return {
+        manager,
+        // Receive a status written at the given time at another time of the browser
+        receive(writtenAt_s, receivedAt_s) {
+            time = receivedAt_s * 1000;
+            const timestamp = new Date(writtenAt_s * 1000).toISOString();
+            deliver(`graph LR\n    A\n%% Status: ${timestamp}\n%% A: Running\n`, time);
+        },
+        setTime(time_s) {
+            time = time_s * 1000;
+        }
+    };
+}
+
+test('the clock offset of the producer is compensated up to maxSkew_s', () => {
+    // The producer's clock is 20 s behind the browser
+    const {manager, receive, setTime} = replayManager();
+    receive(1000, 1020);
+    assert.strictEqual(manager.getStaleness().age_s, 20);  // No offset known before the second timestamp
+    receive(1010, 1030);
+    assert.strictEqual(manager.getStaleness().age_s, 0);
+    setTime(1090);
+    assert.strictEqual(manager.getStaleness().level, STALENESS_FRESH);
+    setTime(1090.5);
+    assert.deepStrictEqual(manager.getStaleness(), {level: STALENESS_STALE, age_s: 60.5});
+    manager.stop();
+
+    // Larger offsets are only compensated up to maxSkew_s
+    const capped = replayManager({maxSkew_s: 5});
+    capped.receive(1000, 1020);
+    capped.receive(1010, 1030);
+    assert.strictEqual(capped.manager.getStaleness().age_s, 15);
+    capped.manager.stop();
+});
\ No newline at end of file
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    STATE_RUNNING,
+    STATE_SUCCESS,
+    STATE_FAILED,
+    STATE_DEFAULT,
+    EDGE_DONE,
+    EDGE_FAILED,
+    registerState,
+    getStateDef,
+    setTheme,
+    buildStyledDiagram,
+    aggregateStates,
+    parseGroupStates,
+    parseEdgeStates
+} = require('../utils.js');
+
+// Register a failed state under a name unique to the calling test, the registry is global
+// and has no way to remove states again
+function registerTimeout(name) {
+    registerState(name, {style: 'fill:#f8f9fa,stroke:#dc3545,stroke-width:2px,color:#721c24', failed: true});
+    return `graph LR
+    subgraph Load
+        Read --> Parse
+    end
+    Load --> Convert
+    Convert --> Write
+%% Read: Success (2s)
+%% Parse: ${name} (60s)
+`;
+}
+
+test('only the built-in Failed state counts as failed by default', () => {
+    assert.strictEqual(getStateDef(STATE_FAILED).failed, true);
+    assert.strictEqual(getStateDef(STATE_SUCCESS).failed, false);
+    assert.strictEqual(getStateDef('Unknown').failed, false);
+});
+
+test('groups take the first failed state of their blocks', () => {
+    const pipeline = registerTimeout('GroupTimeout');
+    assert.strictEqual(parseGroupStates(pipeline).get('Load').state, 'GroupTimeout');
+    assert.strictEqual(aggregateStates([
+        {state: STATE_RUNNING},
+        {state: STATE_FAILED},
+        {state: 'GroupTimeout'}
+    ]).state, STATE_FAILED);
+});
+
+test('edges downstream of a state registered as failed are failed', () => {
+    const pipeline = registerTimeout('EdgeTimeout');
+    assert.deepStrictEqual(parseEdgeStates(pipeline).map(edge => edge.state), [
+        EDGE_DONE,  // Out of the succeeded Read
+        EDGE_FAILED,  // Out of the timed out Parse, through its subgraph
+        EDGE_FAILED
+    ]);
+});
+
+test('states registered without a style take the styles of the default state', t => {
+    t.after(() => {
+        // Drop the style registered below so the default state takes it from the theme again
+        registerState(STATE_DEFAULT, {style: undefined});
+        setTheme('light');
+    });
+    registerState('Queued');
+    const styled = buildStyledDiagram('graph LR\n    A\n%% A: Queued\n');
+    assert.match(styled, new RegExp(`^classDef queued ${getStateDef(STATE_DEFAULT).style}$`, 'm'));
+    assert.strictEqual(getStateDef('Queued').staleStyle, getStateDef(STATE_DEFAULT).staleStyle);
+
+    setTheme('dark');
+    const darkStyle = getStateDef(STATE_DEFAULT).style;
+    assert.strictEqual(getStateDef('Queued').style, darkStyle);
+    registerState(STATE_DEFAULT, {style: 'fill:#000000,stroke:#ffffff'});
+    assert.strictEqual(getStateDef('Queued').style, 'fill:#000000,stroke:#ffffff');
+    registerState(STATE_DEFAULT, {style: undefined});
+    assert.strictEqual(getStateDef('Queued').style, darkStyle);
+});
\ No newline at end of file
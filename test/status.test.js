@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {applyStatusDelta, validateStatus, parseStatus, parseStates} = require('../utils.js');
+
+const PIPELINE = `graph LR
+    read-data --> Convert
+    Convert --> Write
+%% Status: 2025-10-05T22:00:00Z
+%% read-data: Success (3s)
+%% Convert: Running (5s)
+`;
+
+test('status deltas change the given attributes of blocks in the diagram', () => {
+    const content = applyStatusDelta(PIPELINE, {
+        status: '2025-10-05T22:00:10Z',
+        blocks: {Convert: {state: 'Success'}, Write: {state: 'Running', runtime: 1}}
+    });
+    const {blocks, errors} = parseStatus(content);
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(Object.fromEntries(blocks), {
+        'read-data': {state: 'Success', runtime: 3},
+        Convert: {state: 'Success', runtime: 5},
+        Write: {state: 'Running', runtime: 1}
+    });
+    assert.match(content, /^%% Status: 2025-10-05T22:00:10Z$/m);
+});
+
+test('status deltas accept IDs with special characters of regular expressions', () => {
+    const content = applyStatusDelta(PIPELINE, {
+        status: '2025-10-05T22:01:00Z',
+        blocks: {'C++': {state: 'Running'}, 'a$&b': {state: 'Waiting'}}
+    });
+    assert.match(content, /^%% Status: 2025-10-05T22:01:00Z$/m);
+    assert.ok(content.endsWith('\n%% C++: Running\n%% a$&b: Waiting'));
+    assert.strictEqual(applyStatusDelta(content, {blocks: {'C++': {state: 'Success', runtime: 1}}})
+        .match(/^%% C\+\+:.*$/gm).join('\n'), '%% C++: Success (1s)');
+});
+
+test('blocks new to the JSON status keep the runtime of their comment line', () => {
+    const content = applyStatusDelta('graph LR\n    A --> B\n%% A: Running (5s)\n', {blocks: {A: {attempts: 2}}});
+    assert.deepStrictEqual(parseStates(content).get('A'), {state: 'Running', runtime: 5, attempts: 2});
+});
+
+test('comment lines and the JSON status report unknown states the same way', () => {
+    const comments = parseStatus('graph LR\n    A --> B\n%% A: Bogus (3s)\n%% B: Running\n');
+    assert.deepStrictEqual(comments.errors, ['Block "A": unknown state "Bogus"']);
+    assert.deepStrictEqual(comments.blocks.get('A'), {state: 'Bogus', runtime: 3});
+
+    const json = parseStatus('graph LR\n    A --> B\n%% @status {"blocks": {"A": {"state": "Bogus", "runtime": 3}}}\n');
+    assert.deepStrictEqual(json.errors, comments.errors);
+    assert.deepStrictEqual(json.blocks.get('A'), {state: 'Bogus', runtime: 3});
+});
+
+test('the JSON status is validated attribute by attribute', () => {
+    const {blocks, errors} = validateStatus({
+        status: 'yesterday',
+        blocks: {
+            A: {state: 'Running', runtime: -1, attempts: 2, logUrl: 'javascript:alert(1)', color: 'red'},
+            B: {runtime: 3},
+            C: 'Success',
+            Missing: {state: 'Success'}
+        }
+    }, new Set(['A', 'B', 'C']));
+    assert.deepStrictEqual(Object.fromEntries(blocks), {
+        A: {state: 'Running', attempts: 2},
+        Missing: {state: 'Success'}
+    });
+    assert.deepStrictEqual(errors, [
+        'status must be an ISO 8601 timestamp',
+        'Block "A": invalid runtime -1',
+        'Block "A": invalid logUrl "javascript:alert(1)"',
+        'Block "A": unknown attribute "color"',
+        'Block "B": state is missing or invalid',
+        'Block "C": entry must be an object',
+        'Block "Missing": not found in the diagram'
+    ]);
+    assert.deepStrictEqual(validateStatus([], new Set()).errors, ['Status document must be an object']);
+});
+
+test('comment lines that look like a block status but cannot be parsed are reported', () => {
+    const {blocks, errors} = parseStatus('graph LR\n    A --> B\n%% A: Running for 3s\n%% Note: not a block\n');
+    assert.deepStrictEqual(errors, ['Block "A": malformed status "%% A: Running for 3s"']);
+    assert.strictEqual(blocks.has('A'), false);
+});
\ No newline at end of file
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {tokenizeFlowchart} = require('../utils.js');
+
+// Label texts of each node, checked against the positions the labels were found at
+function labels(text) {
+    const {nodes} = tokenizeFlowchart(text);
+    return Object.fromEntries([...nodes].map(([id, node]) => [id, node.labels.map(label => {
+        if (label.text !== null) assert.strictEqual(text.slice(label.start, label.end), label.text);
+        return label.text;
+    })]));
+}
+
+function edges(text) {
+    return tokenizeFlowchart(text).edges.map(({from, to, type}) => `${from} ${to} ${type}`);
+}
+
+test('labels of every node shape are found', () => {
+    const text = `graph LR
+    A(Round) --> B((Circle)) --> C(((Double)))
+    D([Stadium]) --> E[[Subroutine]] --> F[(Cylinder)]
+    G[/Parallelogram/] --> H[\\Alt\\] --> I[/Trapezoid\\] --> J[\\TrapezoidAlt/]
+    K[Rect] --> L{{Hexagon}} --> M{Rhombus} --> N>Asymmetric]
+    O`;
+    assert.deepStrictEqual(labels(text), {
+        A: ['Round'], B: ['Circle'], C: ['Double'],
+        D: ['Stadium'], E: ['Subroutine'], F: ['Cylinder'],
+        G: ['Parallelogram'], H: ['Alt'], I: ['Trapezoid'], J: ['TrapezoidAlt'],
+        K: ['Rect'], L: ['Hexagon'], M: ['Rhombus'], N: ['Asymmetric'],
+        O: []
+    });
+    assert.strictEqual(tokenizeFlowchart(text).nodes.get('O').insertAt, text.length);
+});
+
+test('quoted labels may contain delimiters', () => {
+    const text = `graph LR
+    A["a ] b"] --> B("call(x) --> [y]")
+    B -->|"label | pipe"| C{"x } y"}
+    C -- "text -->" --> D`;
+    assert.deepStrictEqual(labels(text), {
+        A: ['a ] b'], B: ['call(x) --> [y]'], C: ['x } y'], D: []
+    });
+    assert.deepStrictEqual(edges(text), ['A B normal', 'B C normal', 'C D normal']);
+});
+
+test('the @{} syntax gives the label or where to insert one', () => {
+    const text = `graph LR
+    A@{ shape: cyl, label: "Store, items }" } --> B@{ shape: hex }
+    C@{ label: Plain }`;
+    const {nodes} = tokenizeFlowchart(text);
+    assert.deepStrictEqual(labels(text), {A: ['Store, items }'], B: [null], C: ['Plain ']});
+    const [label] = nodes.get('B').labels;
+    assert.strictEqual(label.attr, ', ');
+    assert.strictEqual(text.slice(label.start - 10, label.start), 'shape: hex');
+    assert.deepStrictEqual(edges(text), ['A B normal']);
+});
+
+test('IDs that are prefixes of others and hyphenated IDs are told apart', () => {
+    const text = `graph LR
+    Read[Read] --> ReadAll[Read all]
+    read-data-->Read
+    endpoint --> subgraphs`;
+    assert.deepStrictEqual(labels(text), {
+        Read: ['Read'], ReadAll: ['Read all'], 'read-data': [], endpoint: [], subgraphs: []
+    });
+    assert.deepStrictEqual(edges(text), [
+        'Read ReadAll normal', 'read-data Read normal', 'endpoint subgraphs normal'
+    ]);
+});
+
+test('subgraphs have titles, parents and children', () => {
+    const text = `flowchart TB
+    subgraph Load [Load data]
+        direction LR
+        Read
+        subgraph Fetch ["Fetch [remote]"]
+            Download
+        end
+    end
+    subgraph Free text title
+        Write
+    end
+    Load --> Write`;
+    const {nodes, subgraphs} = tokenizeFlowchart(text);
+    const summary = [...subgraphs.values()].map(({id, labels, parent, nodes, subgraphs}) => (
+        [id, labels.map(label => label.text), parent, nodes, subgraphs]
+    ));
+    assert.deepStrictEqual(summary, [
+        ['Load', ['Load data'], null, ['Read'], ['Fetch']],
+        ['Fetch', ['Fetch [remote]'], 'Load', ['Download'], []],
+        ['Free text title', [], null, ['Write'], []]
+    ]);
+    assert.strictEqual(nodes.get('Download').subgraph, 'Fetch');
+    assert.deepStrictEqual(edges(text), ['Load Write normal']);
+});
+
+test('edges are numbered as by linkStyle, including & chains', () => {
+    const text = `graph LR
+    A & B --> C & D
+    D -.-> E ==> F ~~~ G
+    style A fill:#fff
+    classDef done stroke:#0f0
+    class A done
+    linkStyle 0 stroke:red
+    subgraph S
+        E --x H
+    end
+    H <--> A; A --o B`;
+    assert.deepStrictEqual(edges(text), [
+        'A C normal', 'A D normal', 'B C normal', 'B D normal',
+        'D E dotted', 'E F thick', 'F G invisible',
+        'E H normal', 'H A normal', 'A B normal'
+    ]);
+    assert.deepStrictEqual([...tokenizeFlowchart(text).nodes.keys()], ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H']);
+});
\ No newline at end of file
@@ -0,0 +1,317 @@
+/**
+ * Estimate when each block ran. Start and end timestamps from the status are used where
+ * available and running blocks are assumed to end at the status timestamp. Finished blocks
+ * without timestamps are assumed to have ended when their first downstream block started or,
+ * if that is unknown, to have started as soon as all their upstream blocks ended. Edges of
+ * subgraphs count for the blocks they contain (see parseBlockEdges).
+ * @param {string} fileContent - The complete mermaid file content
+ * @returns {Array<Object>} One entry per block with blockId, label, state, runtime, start and
+ *   end (milliseconds since epoch or null if the block did not run), queuedFrom (end of the
+ *   last upstream block if the block had to wait for its start), estimated and critical
+ */
+function computeSchedule(fileContent) {
+    const states = parseStates(fileContent);
+    const {nodes} = tokenizeFlowchart(extractDiagram(fileContent));
+    const now = (getTimestamp(fileContent) || new Date()).getTime();
+    const upstream = new Map([...states.keys()].map(blockId => [blockId, []]));
+    const downstream = new Map([...states.keys()].map(blockId => [blockId, []]));
+    parseBlockEdges(fileContent).forEach(({from, to}) => {
+        if (!states.has(from) || !states.has(to)) return;
+        upstream.get(to).push(from);
+        downstream.get(from).push(to);
+    });
+
+    const hasRun = block => {
+        const def = getStateDef(block.state);
+        return Boolean(block.start) || ((def.spinner || def.done) && block.runtime >= 0);
+    };
+
+    // Blocks with a known position in time
+    const entries = new Map();
+    states.forEach((block, blockId) => {
+        const entry = {
+            blockId,
+            label: nodeLabel(nodes.get(blockId)),
+            state: block.state,
+            runtime: block.runtime,
+            start: null,
+            end: null,
+            queuedFrom: null,
+            estimated: false,
+            critical: false
+        };
+        if (block.start) {
+            entry.start = new Date(block.start).getTime();
+            entry.end = block.end ? new Date(block.end).getTime() :
+                (getStateDef(block.state).done && block.runtime >= 0 ? entry.start + block.runtime * 1000 : now);
+        } else if (hasRun(block) && getStateDef(block.state).spinner) {
+            entry.end = now;
+            entry.start = now - block.runtime * 1000;
+        }
+        entries.set(blockId, entry);
+    });
+    const anchors = [...entries.values()].filter(e => e.start !== null).map(e => e.start);
+    const origin = anchors.length ? Math.min(...anchors) : 0;
+
+    const isOpen = blockId => entries.get(blockId).start === null && hasRun(states.get(blockId));
+    const estimate = (entry, start) => {
+        entry.start = start;
+        entry.end = start + entry.runtime * 1000;
+        entry.estimated = true;
+    };
+    const visited = new Set();
+    function placeBackward(blockId) {
+        if (!isOpen(blockId) || visited.has(blockId)) return entries.get(blockId).start;
+        visited.add(blockId);
+        const starts = downstream.get(blockId).map(placeBackward).filter(start => start !== null);
+        if (starts.length) estimate(entries.get(blockId), Math.min(...starts) - entries.get(blockId).runtime * 1000);
+        return entries.get(blockId).start;
+    }
+    function placeForward(blockId) {
+        if (!isOpen(blockId) || visited.has(blockId)) return entries.get(blockId).end;
+        visited.add(blockId);
+        const ends = upstream.get(blockId).map(placeForward).filter(end => end !== null);
+        estimate(entries.get(blockId), ends.length ? Math.max(...ends) : origin);
+        return entries.get(blockId).end;
+    }
+    states.forEach((block, blockId) => placeBackward(blockId));
+    visited.clear();
+    states.forEach((block, blockId) => placeForward(blockId));
+
+    // Without any anchor, the estimated run is assumed to have ended at the status timestamp
+    const schedule = [...entries.values()];
+    const placed = schedule.filter(e => e.start !== null);
+    if (!anchors.length && placed.length) {
+        const shift = now - Math.max(...placed.map(e => e.end));
+        placed.forEach(e => {
+            e.start += shift;
+            e.end += shift;
+        });
+    }
+
+    // Time a block waited after its upstream blocks ended
+    placed.filter(e => !e.estimated).forEach(entry => {
+        const ends = upstream.get(entry.blockId).map(blockId => entries.get(blockId).end).filter(end => end !== null);
+        if (ends.length && Math.max(...ends) < entry.start) entry.queuedFrom = Math.max(...ends);
+    });
+
+    // The critical path leads to the latest end through the upstream block that ended last
+    const latest = list => list.reduce((a, e) => (e.end !== null && (!a || e.end > a.end) ? e : a), null);
+    let critical = latest(schedule);
+    while (critical && !critical.critical) {
+        critical.critical = true;
+        critical = latest(upstream.get(critical.blockId).map(blockId => entries.get(blockId)));
+    }
+
+    return schedule;
+}
+
+/**
+ * Get the plain text label of a node as displayed by Mermaid
+ * @param {Object} node - Node as returned by tokenizeFlowchart
+ * @returns {string} Label text without HTML tags, or the node ID if it has no label
+ */
+function nodeLabel(node) {
+    const label = node.labels.find(l => l.text !== null);
+    if (!label) return node.id;
+    return label.text.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim() || node.id;
+}
+
+/**
+ * Generate a Mermaid gantt diagram from the estimated schedule of the blocks
+ * @param {string} fileContent - The complete mermaid file content
+ * @returns {string} Gantt diagram text
+ */
+function toGantt(fileContent) {
+    const {nodes, subgraphs} = tokenizeFlowchart(extractDiagram(fileContent));
+    const sections = new Map();
+    computeSchedule(fileContent).filter(e => e.start !== null).forEach(entry => {
+        const def = getStateDef(entry.state);
+        const tags = [
+            def.spinner ? 'active' : '',
+            def.done ? 'done' : '',
+            def.failed ? 'crit' : ''
+        ].filter(Boolean);
+        const title = entry.label.replace(/[:;#]/g, ' ');
+        const groupId = nodes.get(entry.blockId).subgraph;
+        const section = groupId ? nodeLabel(subgraphs.get(groupId)) : 'Tasks';
+        const task = `    ${title} :${[...tags, entry.blockId, entry.start, entry.end].join(', ')}`;
+        sections.set(section, [...(sections.get(section) || []), task]);
+    });
+
+    return (
+        mermaidThemeConfig() +
+        "gantt\n" +
+        "    dateFormat x\n" +
+        "    axisFormat %H:%M:%S\n" +
+        [...sections].map(([section, tasks]) => (
+            `    section ${section.replace(/[:;#]/g, ' ')}\n${tasks.join("\n")}`
+        )).join("\n")
+    );
+}
+
+/**
+ * Generate and render timeline HTML directly to the DOM
+ * @param {string} containerId - ID of the container element
+ * @param {Array<Object>} schedule - Schedule as returned by computeSchedule
+ * @param {number} now - Status timestamp in milliseconds since epoch
+ * @param {Object} config - Configuration object with colors and sizes
+ */
+function renderTimeline(containerId, schedule, now, config) {
+    const times = schedule.filter(e => e.start !== null).flatMap(e => [e.queuedFrom ?? e.start, e.end]);
+    const t0 = times.length ? Math.min(...times) : now;
+    const t1 = Math.max(now, ...times);
+    const span = Math.max(1, t1 - t0);
+    const pct = t => `${((t - t0) / span) * 100}%`;
+    const size = duration => `${(duration / span) * 100}%`;
+    const time = t => new Date(t).toLocaleTimeString();
+
+    const cssRow = `display:flex;align-items:center;height:${config.rowHeight}`;
+    const cssLabel = (
+        `width:${config.labelWidth};flex:none;padding-right:8px;overflow:hidden;` +
+        `text-overflow:ellipsis;white-space:nowrap`
+    );
+    const cssTrack = 'position:relative;flex:1;height:100%';
+    const cssNow = `position:absolute;left:${pct(now)};top:0;bottom:0;border-left:1px dotted ${config.nowColor}`;
+
+    const rows = schedule.map(entry => {
+        let bars = '';
+        if (entry.queuedFrom !== null) {
+            const cssQueue = (
+                `position:absolute;left:${pct(entry.queuedFrom)};` +
+                `width:${size(entry.start - entry.queuedFrom)};top:50%;` +
+                `border-top:1px dashed ${config.queueColor}`
+            );
+            bars += `<div style="${cssQueue}"></div>`;
+        }
+        if (entry.start !== null) {
+            const cssBar = (
+                `position:absolute;left:${pct(entry.start)};width:${size(entry.end - entry.start)};` +
+                `min-width:2px;top:20%;bottom:20%;border-radius:3px;` +
+                `background-color:${config.stateColor(entry.state)};` +
+                `opacity:${entry.estimated ? 0.6 : 1};` +
+                (entry.critical && config.showCriticalPath ? `box-shadow:0 0 0 2px ${config.criticalColor}` : '')
+            );
+            const title = `${entry.label}: ${entry.state}, ${formatDuration(entry.runtime)}` +
+                (entry.estimated ? ' (estimated)' : '');
+            bars += `<div style="${cssBar}" title="${escapeHtml(title)}"></div>`;
+        }
+        return (
+            `<div style="${cssRow}">` +
+            `<div style="${cssLabel}" title="${escapeHtml(entry.label)}">${escapeHtml(entry.label)}</div>` +
+            `<div style="${cssTrack}">${bars}<div style="${cssNow}"></div></div>` +
+            `</div>`
+        );
+    });
+
+    const cssAxis = `display:flex;justify-content:space-between;margin-left:${config.labelWidth};color:${config.axisColor}`;
+    const cssTimeline = (
+        `font-size:${config.fontSize};color:${config.textColor};` +
+        `font-family:'trebuchet ms',verdana,arial,sans-serif;margin:10px 0`
+    );
+
+    document.getElementById(containerId).innerHTML = (
+        `<div style="${cssTimeline}">` +
+        rows.join('') +
+        `<div style="${cssAxis}"><span>${time(t0)}</span><span>${formatDuration(span / 1000)}</span>` +
+        `<span>${time(t1)}</span></div>` +
+        `</div>`
+    );
+}
+
+/**
+ * Timeline Auto-Updater
+ * Renders each block as a horizontal bar over time, coloured by state. Bars of finished
+ * blocks without start timestamps are estimated from the DAG and shown translucent. Dashed
+ * lines show how long a block waited after its upstream blocks ended. The critical path is
+ * outlined. Alternatively, a Mermaid gantt diagram is rendered.
+ *
+ * @requires parseStates, parseBlockEdges, tokenizeFlowchart, getTimestamp, STALENESS_STALE, formatDuration, extractColors, escapeHtml, mermaidThemeConfig, the theme, and the state registry from utils.js
+ *
+ * @param {Object} diagramManager - Diagram manager instance from createDiagramManager
+ * @param {string} containerId - ID of the HTML element to contain the timeline
+ * @param {Object} opts - Configuration options
+ * @param {string} opts.mode - 'bars' for the built-in timeline or 'gantt' for a Mermaid gantt diagram (default: 'bars')
+ * @param {Object} opts.colors - Bar color per state (default: stroke color of the registered state style)
+ * @param {string} opts.staleColor - Bar color when stale (default: stale of the theme)
+ * @param {string} opts.labelWidth - Width of the block label column (default: '120px')
+ * @param {string} opts.rowHeight - Height of each row (default: '22px')
+ * @param {string} opts.fontSize - Font size of labels and axis (default: '12px')
+ * @param {string} opts.textColor - Color of the labels (default: text of the theme)
+ * @param {boolean} opts.showCriticalPath - Outline the bars on the critical path (default: true)
+ */
+function createTimeline(diagramManager, containerId, opts = {}) {
+    const config = {
+        mode: 'bars',
+        colors: {},
+        labelWidth: '120px',
+        rowHeight: '22px',
+        fontSize: '12px',
+        showCriticalPath: true,
+        ...opts
+    };
+    let lastContent = null;
+    let lastGantt = null;
+    let renderCount = 0;
+
+    // Render the gantt diagram with Mermaid, unless its text did not change. Renders that
+    // finish after a later one started are dropped.
+    function renderGantt(fileContent) {
+        const gantt = toGantt(fileContent);
+        if (gantt === lastGantt) return;
+        lastGantt = gantt;
+        const renderId = `${containerId}_gantt${++renderCount}`;
+        const isCurrent = () => renderId === `${containerId}_gantt${renderCount}`;
+        mermaid.render(renderId, gantt).then(({svg}) => {
+            if (isCurrent()) document.getElementById(containerId).innerHTML = svg;
+        }).catch(error => {
+            if (!isCurrent()) return;
+            lastGantt = null;
+            console.error('Error rendering gantt diagram:', error);
+        });
+    }
+
+    function updateTimeline(fileContent) {
+        try {
+            lastContent = fileContent;
+            const isStale = diagramManager.getStaleness().level === STALENESS_STALE;
+
+            if (config.mode === 'gantt') {
+                renderGantt(fileContent);
+                return;
+            }
+
+            // Colors that are not configured are taken from the theme
+            const theme = getTheme();
+            const colors = {
+                staleColor: theme.stale,
+                textColor: theme.text,
+                axisColor: theme.mutedText,
+                queueColor: theme.queue,
+                nowColor: theme.mutedText,
+                criticalColor: theme.warning,
+                ...config
+            };
+            const stateColor = state => (isStale ? colors.staleColor :
+                config.colors[state] || extractColors(getStateDef(state).style).strokeColor);
+            const now = (getTimestamp(fileContent) || new Date()).getTime();
+            renderTimeline(containerId, computeSchedule(fileContent), now, {...colors, stateColor});
+        } catch (error) {
+            console.error('Error updating timeline:', error);
+        }
+    }
+
+    // Subscribe to diagram manager for state changes and runtime updates
+    const unsubscribeRedraw = diagramManager.onRedraw(updateTimeline);
+    const unsubscribeUpdate = diagramManager.onUpdate(updateTimeline);
+    const unsubscribeTheme = onThemeChange(() => {
+        if (lastContent !== null) updateTimeline(lastContent);
+    });
+
+    // Return cleanup function
+    return function cleanup() {
+        unsubscribeRedraw();
+        unsubscribeUpdate();
+        unsubscribeTheme();
+    };
+}
\ No newline at end of file
@@ -17,7 +17,247 @@ const CLS_DEFAULT = 'default';
 const CLS_SUCCESS = cssName(STATE_SUCCESS);
 const CLS_FAILED = cssName(STATE_FAILED);
 const MAX_STATUS_AGE_S = 60;
+// Staleness levels of the status, see createDiagramManager
+const STALENESS_FRESH = 'fresh';
+const STALENESS_DELAYED = 'delayed';
+const STALENESS_STALE = 'stale';
+const STALENESS_LEVELS = [STALENESS_FRESH, STALENESS_DELAYED, STALENESS_STALE];
 const RUNTIME_PLACEHOLDER = '&nbsp;';  // HTML non-breaking space entity
+// Edge states, see parseEdgeStates
+const EDGE_DEFAULT = 'default';
+const EDGE_ACTIVE = 'active';  // Into a running block
+const EDGE_DONE = 'done';  // Out of a finished block
+const EDGE_FAILED = 'failed';  // Downstream of a failed block
+const EDGE_STATES = [EDGE_DEFAULT, EDGE_ACTIVE, EDGE_DONE, EDGE_FAILED];
+
+// Registry of known block states, see registerState(). Each entry merges the registered
+// definition over the styles derived from the theme, see applyThemeStates().
+const STATES = new Map();
+const stateDefinitions = new Map();
+const themeStateStyles = new Map();
+
+/**
+ * Register a custom block state or override parts of an existing one. Properties set to
+ * undefined drop an earlier override and take their default again.
+ * @param {string} name - State name as used in the status comments (e.g. 'Skipped')
+ * @param {Object} definition - State definition
+ * @param {string} definition.style - CSS styling for blocks in this state (default: style of the Waiting state)
+ * @param {string} definition.staleStyle - CSS styling when stale (default: same as style, or the stale style of the Waiting state)
+ * @param {string} definition.delayedStyle - CSS styling when delayed (default: style with a light yellow fill)
+ * @param {string} definition.cssClass - CSS class used in the diagram (default: derived from name)
+ * @param {boolean} definition.spinner - Whether blocks in this state show the spinner (default: false)
+ * @param {boolean} definition.done - Whether the state counts as done for the progress (default: false)
+ * @param {boolean} definition.failed - Whether the state counts as failed for subgraphs and edges (default: false)
+ * @param {boolean} definition.showRuntime - Whether the runtime is shown (default: true)
+ */
+function registerState(name, definition = {}) {
+    const merged = {...stateDefinitions.get(name), ...definition};
+    Object.keys(merged).forEach(key => merged[key] === undefined && delete merged[key]);
+    stateDefinitions.set(name, merged);
+    updateState(name);
+    if (name === STATE_DEFAULT) STATES.forEach((state, other) => updateState(other));
+}
+
+// Merge the registered definition of a state over the styles derived from the theme. States
+// without a style take the styles of the default state.
+function updateState(name) {
+    const fallback = name === STATE_DEFAULT ? {} : STATES.get(STATE_DEFAULT) || {};
+    const state = {
+        cssClass: cssName(name),
+        spinner: false,
+        done: false,
+        failed: false,
+        showRuntime: true,
+        ...themeStateStyles.get(name),
+        ...stateDefinitions.get(name)
+    };
+    state.staleStyle = state.staleStyle || state.style || fallback.staleStyle;
+    state.style = state.style || fallback.style;
+    STATES.set(name, state);
+}
+
+/**
+ * Look up the definition of a state. Unknown states are treated like the default state.
+ * @param {string} name - State name
+ * @returns {Object} State definition as registered with registerState()
+ */
+function getStateDef(name) {
+    return STATES.get(name) || STATES.get(STATE_DEFAULT);
+}
+
+registerState(STATE_DEFAULT, {cssClass: CLS_DEFAULT, showRuntime: false});
+registerState(STATE_RUNNING, {cssClass: CLS_DEFAULT, spinner: true});
+registerState(STATE_SUCCESS, {cssClass: CLS_SUCCESS, done: true});
+registerState(STATE_FAILED, {cssClass: CLS_FAILED, done: true, failed: true});
+
+// Theme presets, see setTheme(). All components take their default colors from the theme.
+const THEMES = {
+    light: {
+        dark: false,
+        background: '#ffffff',
+        surface: '#f8f9fa',
+        text: '#495057',
+        mutedText: '#6c757d',
+        border: '#dee2e6',
+        highlight: '#e7f1ff',
+        accent: '#4472C4',
+        track: '#e9ecef',
+        barText: '#ffffff',
+        success: '#28a745',
+        successText: '#155724',
+        failed: '#dc3545',
+        failedText: '#721c24',
+        warning: '#fd7e14',
+        delayed: '#f0ad4e',
+        delayedSurface: '#fff8e1',
+        queue: '#adb5bd',
+        stale: '#9ca3af',
+        staleSurface: '#f3f4f6',
+        staleTrack: '#f3f4f6',
+        staleText: '#6b7280',
+        staleSuccess: '#6b8e6b',
+        staleFailed: '#a37373',
+        strokeWidth: '2px'
+    },
+    dark: {
+        dark: true,
+        background: '#0d1117',
+        surface: '#161b22',
+        text: '#c9d1d9',
+        mutedText: '#8b949e',
+        border: '#30363d',
+        highlight: '#1f2d3d',
+        accent: '#58a6ff',
+        track: '#30363d',
+        barText: '#0d1117',
+        success: '#3fb950',
+        successText: '#7ee787',
+        failed: '#f85149',
+        failedText: '#ffa198',
+        warning: '#db6d28',
+        delayed: '#d29922',
+        delayedSurface: '#2d2616',
+        queue: '#484f58',
+        stale: '#6e7681',
+        staleSurface: '#1c2128',
+        staleTrack: '#21262d',
+        staleText: '#8b949e',
+        staleSuccess: '#4d6b52',
+        staleFailed: '#7d4e4e',
+        strokeWidth: '2px'
+    },
+    'high-contrast': {
+        dark: true,
+        background: '#000000',
+        surface: '#000000',
+        text: '#ffffff',
+        mutedText: '#e0e0e0',
+        border: '#ffffff',
+        highlight: '#1a3a5a',
+        accent: '#4cc2ff',
+        track: '#333333',
+        barText: '#000000',
+        success: '#3ff23f',
+        successText: '#ffffff',
+        failed: '#ff4d4d',
+        failedText: '#ffffff',
+        warning: '#ffb000',
+        delayed: '#ffb000',
+        delayedSurface: '#332600',
+        queue: '#c0c0c0',
+        stale: '#a0a0a0',
+        staleSurface: '#000000',
+        staleTrack: '#333333',
+        staleText: '#c0c0c0',
+        staleSuccess: '#a0a0a0',
+        staleFailed: '#a0a0a0',
+        strokeWidth: '3px'
+    }
+};
+const themeSubs = new Set();
+let activeTheme = null;
+let colorSchemeQuery = null;
+
+/**
+ * Derive the styles of the built-in states from a theme. Styles registered with
+ * registerState() take precedence.
+ * @param {Object} theme - Theme object, see THEMES
+ */
+function applyThemeStates(theme) {
+    const style = (fill, stroke, color) => `fill:${fill},stroke:${stroke},stroke-width:${theme.strokeWidth},color:${color}`;
+    const waiting = {
+        style: style(theme.surface, theme.accent, theme.text),
+        staleStyle: style(theme.staleSurface, theme.stale, theme.staleText)
+    };
+    themeStateStyles.set(STATE_DEFAULT, waiting);
+    themeStateStyles.set(STATE_RUNNING, waiting);
+    themeStateStyles.set(STATE_SUCCESS, {
+        style: style(theme.surface, theme.success, theme.successText),
+        staleStyle: style(theme.staleSurface, theme.staleSuccess, theme.staleText)
+    });
+    themeStateStyles.set(STATE_FAILED, {
+        style: style(theme.surface, theme.failed, theme.failedText),
+        staleStyle: style(theme.staleSurface, theme.staleFailed, theme.staleText)
+    });
+    STATES.forEach((state, name) => updateState(name));
+}
+
+/**
+ * Switch the theme of all components. Components created before the call redraw with the new theme.
+ * The styles of the built-in states are derived from the theme unless they are registered
+ * with registerState().
+ * @param {string|Object} theme - Name of a preset ('light', 'dark' or 'high-contrast'), 'auto' to
+ *        follow the dark mode setting of the browser, or a theme object. Theme objects may name
+ *        a preset to extend as "extends" (default: 'light').
+ */
+function setTheme(theme) {
+    colorSchemeQuery?.removeEventListener('change', handleColorSchemeChange);
+    colorSchemeQuery = null;
+    
+    if (theme === 'auto') {
+        colorSchemeQuery = typeof matchMedia === 'undefined' ? null : matchMedia('(prefers-color-scheme: dark)');
+        colorSchemeQuery?.addEventListener('change', handleColorSchemeChange);
+        activateTheme(THEMES[colorSchemeQuery?.matches ? 'dark' : 'light']);
+    } else if (typeof theme === 'string') {
+        if (!THEMES[theme]) throw new Error(`Unknown theme "${theme}"`);
+        activateTheme(THEMES[theme]);
+    } else {
+        activateTheme({...THEMES[theme.extends || 'light'], ...theme});
+    }
+}
+
+function handleColorSchemeChange(event) {
+    activateTheme(THEMES[event.matches ? 'dark' : 'light']);
+}
+
+function activateTheme(theme) {
+    activeTheme = theme;
+    applyThemeStates(theme);
+    themeSubs.forEach(callback => callback(theme));
+}
+
+/**
+ * Get the active theme
+ * @returns {Object} Theme object, see THEMES
+ */
+function getTheme() {
+    return activeTheme;
+}
+
+/**
+ * Subscribe to theme changes
+ * @param {Function} callback - Called with the new theme object
+ * @returns {Function} Unsubscribe function
+ */
+function onThemeChange(callback) {
+    themeSubs.add(callback);
+    
+    return function unsubscribe() {
+        themeSubs.delete(callback);
+    };
+}
+
+setTheme('light');
 
 /**
  * Convert seconds to HH:mm:ss format string
@@ -27,9 +267,10 @@ const RUNTIME_PLACEHOLDER = '&nbsp;';  // HTML non-breaking space entity
 function formatDuration(totalSeconds) {
     if (!(totalSeconds >= 0)) return RUNTIME_PLACEHOLDER;
     const pad = n => n.toString().padStart(2, '0');
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
-    const seconds = totalSeconds % 60;
+    const wholeSeconds = Math.floor(totalSeconds);
+    const hours = Math.floor(wholeSeconds / 3600);
+    const minutes = Math.floor((wholeSeconds % 3600) / 60);
+    const seconds = wholeSeconds % 60;
     return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
 }
 
@@ -73,31 +314,119 @@ function spinner(color) {
  * @param {boolean} showSpinner - Whether to show spinner
  * @param {string} color - Color for the spinner
  * @param {string} blockId - Block ID for HTML element identification
+ * @param {string} fixedWidth - Fixed width of the status line (optional)
  * @returns {string} HTML for the status line
  */
 function formatState(text, showSpinner, color, blockId, fixedWidth) {
-    const spHtml = showSpinner ? 
-        `<img src='${spinner(color)}' height='20' style='margin-right:3px'/>` : '';
+    const spHtml = !showSpinner ? '' : (
+        `<img id='${blockId}_spinner' src='${spinner(color)}' width='20' height='20' style='margin-right:3px'/>`
+    );
     const widthStyle = fixedWidth ? `width:${fixedWidth};margin:0 auto;` : '';
     return `<br/><div style='display:flex;align-items:center;justify-content:center;` +
-           `font-size:14px;${widthStyle}'><div style='display:flex;align-items:center'>${spHtml}<span id="${blockId}_text">${text}</span></div></div>`;
+           `font-size:14px;${widthStyle}'><div style='display:flex;align-items:center'>${spHtml}` +
+           `<span id='${blockId}_text'>${text}</span></div></div>`;
 }
 
 /**
- * Parse status timestamp and return it.
+ * Count the visible characters of a status text, e.g. to tell whether it still fits into
+ * the space it was rendered with
+ * @param {string} text - Status text, which may contain HTML entities
+ * @returns {number} Number of characters
+ */
+function statusTextLength(text) {
+    return String(text).replace(/<[^>]*>/g, '').replace(/&#?\w+;/g, ' ').length;
+}
+
+/**
+ * Format the runtime of a block, unless its state hides the runtime
+ * @param {Object} blockData - Block data as returned by parseStates
+ * @returns {string} Formatted runtime or placeholder
+ */
+function formatRuntime(blockData) {
+    return getStateDef(blockData.state).showRuntime ? formatDuration(blockData.runtime) : RUNTIME_PLACEHOLDER;
+}
+
+/**
+ * Format the status text of a subgraph, e.g. "00:03:20 · 3/7 done"
+ * @param {Object} groupData - Aggregate state as returned by parseGroupStates
+ * @returns {string} Status text
+ */
+function formatGroupStatus(groupData) {
+    const counter = `${groupData.done}/${groupData.total} done`;
+    const runtime = formatRuntime(groupData);
+    return runtime === RUNTIME_PLACEHOLDER ? counter : `${runtime} &middot; ${counter}`;
+}
+
+/**
+ * Parse status timestamp from the embedded JSON status document or the "%% Status:" comment
+ * and return it.
  * @param {string} fileContent - The complete mermaid file content
  * @returns {Date|null} The timestamp or null if not found/invalid.
  */
 function getTimestamp(fileContent) {    
     try {
-        const timestampMatch = fileContent.match(/^%% Status:\s*(.+)$/m);
-        const statusDate = new Date(timestampMatch[1].trim());
+        const docTimestamp = findStatusBlock(fileContent)?.doc?.status;
+        const timestamp = docTimestamp || fileContent.match(/^%% Status:\s*(.+)$/m)[1];
+        const statusDate = new Date(timestamp.trim());
         return isNaN(statusDate.getTime()) ? null : statusDate;
     } catch (error) {
         return null;
     }
 }
 
+/**
+ * Parse a duration like "90", "90s", "15m" or "2h" into seconds
+ * @param {string} text - Duration text
+ * @returns {number|null} Duration in seconds, or null if invalid
+ */
+function parseDuration(text) {
+    const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*([smh]?)$/);
+    if (!match) return null;
+    return parseFloat(match[1]) * {'': 1, s: 1, m: 60, h: 3600}[match[2]];
+}
+
+/**
+ * Determine the staleness thresholds of a diagram. The "%% StaleAfter:" directive overrides
+ * the given defaults, e.g. "%% StaleAfter: 15m", "%% StaleAfter: 15m, warn 5m" or
+ * "%% StaleAfter: off". Without a warn threshold, the status is delayed after half of the
+ * stale threshold. Malformed directives keep the defaults, or half of the stale threshold
+ * for a malformed warn threshold, and are reported as error.
+ * @param {string} fileContent - The complete mermaid file content
+ * @param {Object} defaults - Default thresholds
+ * @param {number|null} defaults.warnAfter_s - Age in seconds after which the status is delayed, or null for never
+ * @param {number|null} defaults.staleAfter_s - Age in seconds after which the status is stale, or null for never
+ * @returns {Object} Object with warnAfter_s and staleAfter_s properties, and error if the directive is malformed
+ */
+function getStalenessPolicy(fileContent, defaults) {
+    const directive = fileContent.match(/^%% StaleAfter:(.*)$/m);
+    if (!directive) return {warnAfter_s: defaults.warnAfter_s, staleAfter_s: defaults.staleAfter_s};
+    const error = `Malformed staleness directive "${directive[0]}"`;
+    
+    const [staleText, warnText, ...rest] = directive[1].split(',');
+    if (/^(off|never)$/i.test(staleText.trim())) return {warnAfter_s: null, staleAfter_s: null};
+    const staleAfter_s = parseDuration(staleText);
+    if (staleAfter_s === null || rest.length) {
+        return {warnAfter_s: defaults.warnAfter_s, staleAfter_s: defaults.staleAfter_s, error};
+    }
+    if (warnText === undefined) return {warnAfter_s: staleAfter_s / 2, staleAfter_s};
+    const warnAfter_s = parseDuration(warnText.replace(/^\s*warn/i, ''));
+    if (warnAfter_s === null) return {warnAfter_s: staleAfter_s / 2, staleAfter_s, error};
+    return {warnAfter_s, staleAfter_s};
+}
+
+/**
+ * Classify the age of a status. Ages beyond a threshold count as exceeding it.
+ * @param {number|null} age_s - Age of the status in seconds, or null if unknown
+ * @param {Object} policy - Thresholds as returned by getStalenessPolicy
+ * @returns {string} One of STALENESS_FRESH, STALENESS_DELAYED and STALENESS_STALE
+ */
+function stalenessLevel(age_s, policy) {
+    if (age_s === null) return STALENESS_FRESH;
+    if (policy.staleAfter_s !== null && age_s > policy.staleAfter_s) return STALENESS_STALE;
+    if (policy.warnAfter_s !== null && age_s > policy.warnAfter_s) return STALENESS_DELAYED;
+    return STALENESS_FRESH;
+}
+
 /**
  * Parse status timestamp and compute the recency of the status in seconds
  * @param {string} fileContent - The complete mermaid file content
@@ -111,34 +440,635 @@ function getStatusAge(fileContent) {
     }
 }
 
+// Opening and closing delimiters of Mermaid node shapes. Longer openers come first.
+const NODE_SHAPES = [
+    ['(((', ')))'], ['((', '))'], ['([', '])'], ['(', ')'],
+    ['[[', ']]'], ['[(', ')]'], ['[/', '/]', '\\]'], ['[\\', '\\]', '/]'], ['[', ']'],
+    ['{{', '}}'], ['{', '}'], ['>', ']']
+];
+
 /**
- * Parse session data from mermaid file comments and return block states and runtimes
+ * Tokenize the node definitions, edges and subgraphs of a Mermaid flowchart
+ * @param {string} diagramText - Flowchart text, optionally with front matter and comments
+ * @returns {Object} Object with the following properties:
+ *   - nodes: Map of node IDs to {id, labels, insertAt, subgraph} objects. labels lists the
+ *     position of each label definition as {start, end, text, attr}. Nodes that are only
+ *     referenced without a label have an empty list and insertAt is the position after
+ *     their first reference. subgraph is the ID of the innermost enclosing subgraph or null.
+ *   - subgraphs: Map of subgraph IDs to {id, labels, insertAt, parent, nodes, subgraphs}
+ *     objects. labels contains the title as above. nodes and subgraphs list direct children.
+ *   - edges: Array of {from, to, start, end, type} objects in the order Mermaid numbers
+ *     them. type is one of 'normal', 'thick', 'dotted' and 'invisible' (~~~).
+ */
+function tokenizeFlowchart(diagramText) {
+    const text = diagramText;
+    const nodes = new Map();
+    const subgraphs = new Map();
+    const edges = [];
+    const stack = [];
+    let pos = 0;
+    
+    const idPattern = /\w+(?:-\w+)*/y;
+    const keywordPattern = /(graph|flowchart|subgraph|end|direction|style|classDef|class|linkStyle|click)(?![\w-])/y;
+    // Link texts may be quoted and then contain links, e.g. A -- "a --> b" --> B
+    const textLinkPattern = /[<xo]?(?:--|==|-\.)(?![-=.>]|[ox](?:\s|$))(?:"[^"\n]*"|[^"\n])*?(?:-{2,}[>xo]?|={2,}[>xo]?|\.-+[>xo]?)/y;
+    const linkPattern = /[<xo]?(?:-{2,}|={2,}|-\.+-|~{3,})[>xo]?/y;
+    
+    const match = pattern => {
+        pattern.lastIndex = pos;
+        const result = pattern.exec(text);
+        if (result) pos = pattern.lastIndex;
+        return result;
+    };
+    const skipSpace = () => {
+        while (text[pos] === ' ' || text[pos] === '\t') pos++;
+    };
+    const skipStatement = () => {
+        let quoted = false;
+        while (pos < text.length && (quoted || (text[pos] !== '\n' && text[pos] !== ';'))) {
+            if (text[pos] === '"') quoted = !quoted;
+            pos++;
+        }
+    };
+    const skipLine = () => {
+        const end = text.indexOf('\n', pos);
+        pos = end === -1 ? text.length : end;
+    };
+    
+    // Parse a label enclosed by the given delimiters, e.g. [Label] or ["Label"]
+    function parseLabel(open, closers) {
+        if (!text.startsWith(open, pos)) return null;
+        const start = pos + open.length;
+        const quoted = text[start] === '"';
+        const searchFrom = quoted ? text.indexOf('"', start + 1) + 1 : start;
+        if (quoted && searchFrom === 0) return null;
+        const ends = closers
+            .map(closer => [text.indexOf(closer, searchFrom), closer])
+            .filter(([index]) => index !== -1 && (!quoted || index === searchFrom));
+        if (!ends.length) return null;
+        const [end, closer] = ends.reduce((a, b) => (b[0] < a[0] ? b : a));
+        pos = end + closer.length;
+        return quoted ? 
+            {start: start + 1, end: searchFrom - 1, text: text.slice(start + 1, searchFrom - 1)} :
+            {start, end, text: text.slice(start, end)};
+    }
+    
+    // Parse the attributes of the @{ shape: ..., label: "..." } syntax
+    function parseAttributes() {
+        const start = pos + 2;
+        let end = start;
+        let quoted = false;
+        while (end < text.length && (quoted || text[end] !== '}')) {
+            if (text[end] === '"') quoted = !quoted;
+            end++;
+        }
+        pos = Math.min(end + 1, text.length);
+        const body = text.slice(start, end);
+        const labelMatch = body.match(/(^|[,{\s])label\s*:\s*(?:"([^"]*)"|([^,}\n]*))/);
+        if (!labelMatch) {
+            const insertAt = start + body.trimEnd().length;
+            return {start: insertAt, end: insertAt, text: null, attr: body.trim() ? ', ' : ' '};
+        }
+        const value = labelMatch[2] ?? labelMatch[3];
+        const offset = start + labelMatch.index + labelMatch[0].length - 
+            value.length - (labelMatch[2] !== undefined ? 1 : 0);
+        return {start: offset, end: offset + value.length, text: value, attr: null};
+    }
+    
+    function parseNode() {
+        const idMatch = match(idPattern);
+        if (!idMatch) return null;
+        const id = idMatch[0];
+        const idEnd = pos;
+        const current = stack[stack.length - 1];
+        if (!nodes.has(id)) nodes.set(id, {id, labels: [], insertAt: null, subgraph: null});
+        const node = nodes.get(id);
+        if (!node.subgraph && current) node.subgraph = current.id;
+        
+        let label = null;
+        if (text.startsWith('@{', pos)) {
+            label = parseAttributes();
+        } else {
+            for (const [open, ...closers] of NODE_SHAPES) {
+                label = parseLabel(open, closers);
+                if (label) break;
+            }
+        }
+        if (label) node.labels.push({attr: null, ...label});
+        else if (node.insertAt === null) node.insertAt = idEnd;
+        
+        // Skip class shorthand, e.g. A:::someclass
+        if (text.startsWith(':::', pos)) {
+            pos += 3;
+            match(idPattern);
+        }
+        return id;
+    }
+    
+    function parseNodeGroup() {
+        const ids = [];
+        for (;;) {
+            skipSpace();
+            const id = parseNode();
+            if (!id) break;
+            ids.push(id);
+            skipSpace();
+            if (text[pos] !== '&') break;
+            pos++;
+        }
+        return ids;
+    }
+    
+    function parseLink() {
+        const start = pos;
+        if (!match(textLinkPattern) && !match(linkPattern)) return null;
+        const end = pos;
+        // The type is given by the opening of the link, which may be followed by a text
+        const opening = text.slice(start, end).replace(/^[<xo]/, '').slice(0, 2);
+        const type = {'~~': 'invisible', '==': 'thick', '-.': 'dotted'}[opening] || 'normal';
+        skipSpace();
+        // Quoted edge labels may contain pipes, e.g. -->|"a | b"|
+        if (text[pos] === '|') {
+            const searchFrom = text[pos + 1] === '"' ? text.indexOf('"', pos + 2) + 1 : 0;
+            const close = text.indexOf('|', searchFrom || pos + 1);
+            if (close !== -1) pos = close + 1;
+        }
+        return {start, end, type};
+    }
+    
+    function parseSubgraph() {
+        skipSpace();
+        const current = stack[stack.length - 1];
+        const subgraph = {
+            id: null, labels: [], insertAt: null, parent: current ? current.id : null,
+            nodes: [], subgraphs: []
+        };
+        const idMatch = match(idPattern);
+        if (idMatch) {
+            subgraph.id = idMatch[0];
+            subgraph.insertAt = pos;
+            skipSpace();
+            const title = parseLabel('[', [']']);
+            if (title) subgraph.labels.push({attr: null, ...title});
+            else if (text[pos] !== '\n' && pos < text.length) subgraph.insertAt = null;
+        }
+        // Free text titles, e.g. subgraph My Group, are used as ID and cannot be extended
+        if (subgraph.insertAt === null && !subgraph.labels.length) {
+            const lineEnd = text.indexOf('\n', pos);
+            const title = text.slice(pos, lineEnd === -1 ? text.length : lineEnd);
+            subgraph.id = ((idMatch ? idMatch[0] : '') + ' ' + title).trim().replace(/^"|"$/g, '');
+        }
+        skipLine();
+        if (current) current.subgraphs.push(subgraph.id);
+        subgraphs.set(subgraph.id, subgraph);
+        stack.push(subgraph);
+    }
+    
+    // Skip front matter
+    const frontMatter = text.match(/^\s*---\n[\s\S]*?\n---[^\n]*/);
+    if (frontMatter) pos = frontMatter[0].length;
+    
+    while (pos < text.length) {
+        skipSpace();
+        if (text[pos] === '\n' || text[pos] === ';') {
+            pos++;
+            continue;
+        }
+        if (text.startsWith('%%', pos)) {
+            skipLine();
+            continue;
+        }
+        
+        const keyword = match(keywordPattern);
+        if (keyword && keyword[1] === 'subgraph') {
+            parseSubgraph();
+            continue;
+        }
+        if (keyword && keyword[1] === 'end') {
+            stack.pop();
+            continue;
+        }
+        if (keyword) {
+            skipStatement();
+            continue;
+        }
+        
+        // Node statement with optional chain of links, e.g. A & B --> C[Label] -.-> D
+        let previous = parseNodeGroup();
+        while (previous.length) {
+            skipSpace();
+            const link = parseLink();
+            if (!link) break;
+            const next = parseNodeGroup();
+            previous.forEach(from => next.forEach(to => edges.push({from, to, ...link})));
+            previous = next;
+        }
+        skipStatement();
+    }
+    
+    // Links to subgraphs reference the subgraph rather than a node
+    nodes.forEach((node, id) => {
+        if (subgraphs.has(id) && !node.labels.length) nodes.delete(id);
+    });
+    nodes.forEach(node => {
+        if (node.subgraph) subgraphs.get(node.subgraph).nodes.push(node.id);
+    });
+    
+    return {nodes, subgraphs, edges};
+}
+
+/**
+ * Append HTML to the labels of nodes or subgraphs. Nodes and subgraphs without a label
+ * get one showing their ID, just as Mermaid would display them.
+ * @param {string} diagramText - Flowchart text
+ * @param {Map<string, string>} suffixes - Map of node or subgraph IDs to the HTML to append
+ * @returns {string} Modified flowchart text
+ */
+function appendToLabels(diagramText, suffixes) {
+    const {nodes, subgraphs} = tokenizeFlowchart(diagramText);
+    const edits = [];
+    
+    [...nodes.values(), ...subgraphs.values()].forEach(item => {
+        const suffix = suffixes.get(item.id);
+        if (suffix === undefined) return;
+        item.labels.forEach(label => {
+            edits.push(label.text === null ?
+                [label.start, `${label.attr}label: "${item.id}${suffix}"`] :
+                [label.end, suffix]);
+        });
+        if (!item.labels.length && item.insertAt !== null) {
+            edits.push([item.insertAt, `${nodes.has(item.id) ? '' : ' '}[${item.id}${suffix}]`]);
+        }
+    });
+    
+    return edits
+        .sort((a, b) => b[0] - a[0])
+        .reduce((text, [index, insert]) => text.slice(0, index) + insert + text.slice(index), diagramText);
+}
+
+/**
+ * Check that a URL leads to a web page, so that a status file cannot inject scripts through
+ * javascript: or data: URLs
+ * @param {string} value - Absolute http(s) URL or URL relative to the page
+ * @returns {boolean} True if the URL resolves to an http or https URL
+ */
+function isWebUrl(value) {
+    if (typeof value !== 'string') return false;
+    const base = typeof location === 'undefined' ? 'http://localhost/' : location.href;
+    try {
+        return ['http:', 'https:'].includes(new URL(value, base).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Attributes of a block entry in a JSON status document and their validators
+const STATUS_ATTRIBUTES = {
+    state: value => typeof value === 'string' && /^\w+$/.test(value),
+    runtime: value => typeof value === 'number' && value >= 0,
+    start: value => typeof value === 'string' && !isNaN(new Date(value).getTime()),
+    end: value => typeof value === 'string' && !isNaN(new Date(value).getTime()),
+    attempts: value => Number.isInteger(value) && value >= 0,
+    message: value => typeof value === 'string',
+    logUrl: isWebUrl,
+    expected: value => typeof value === 'number' && value >= 0
+};
+
+/**
+ * Find the JSON status document embedded as "%% @status {...}". The document may continue
+ * on the following comment lines.
+ * @param {string} fileContent - The complete mermaid file content
+ * @returns {Object|null} Object with first and last line index and either the parsed doc or
+ *   an error message, or null if there is no embedded status document
+ */
+function findStatusBlock(fileContent) {
+    const lines = fileContent.split('\n');
+    const first = lines.findIndex(line => /^%%\s*@status\b/.test(line));
+    if (first === -1) return null;
+    
+    let json = lines[first].replace(/^%%\s*@status\s*/, '');
+    for (let last = first; ; last++) {
+        try {
+            return { first, last, doc: JSON.parse(json) };
+        } catch (error) {
+            if (!lines[last + 1]?.startsWith('%%')) {
+                return { first, last, error: `Invalid @status JSON: ${error.message}` };
+            }
+            json += '\n' + lines[last + 1].replace(/^%%/, '');
+        }
+    }
+}
+
+/**
+ * Embed a JSON status document, replacing an already embedded one
+ * @param {string} fileContent - The complete mermaid file content
+ * @param {Object} doc - Status document
+ * @returns {string} File content with the embedded status document
+ */
+function setStatusBlock(fileContent, doc) {
+    const line = `%% @status ${JSON.stringify(doc)}`;
+    const block = findStatusBlock(fileContent);
+    if (!block) return `${fileContent}\n${line}`;
+    const lines = fileContent.split('\n');
+    lines.splice(block.first, block.last - block.first + 1, line);
+    return lines.join('\n');
+}
+
+/**
+ * Validate a JSON status document of the form 
+ * {status: '2025-10-05T22:00:00Z', blocks: {Read: {state: 'Success', runtime: 12, ...}}}.
+ * Block entries may contain state, runtime (seconds), start and end (ISO 8601 timestamps), 
+ * attempts, message, logUrl (http or https URL, or relative to the page) and expected
+ * (expected runtime in seconds). Invalid attributes are dropped, entries without a valid
+ * state are ignored.
+ * @param {Object} doc - Parsed status document
+ * @param {Set<string>} blockIds - IDs of the blocks in the diagram
+ * @returns {Object} Object with the valid blocks as Map and a list of error messages
+ */
+function validateStatus(doc, blockIds) {
+    const blocks = new Map();
+    const errors = [];
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        return { blocks, errors: ['Status document must be an object'] };
+    }
+    if (doc.status !== undefined && !STATUS_ATTRIBUTES.start(doc.status)) {
+        errors.push('status must be an ISO 8601 timestamp');
+    }
+    
+    Object.entries(doc.blocks || {}).forEach(([blockId, entry]) => {
+        if (!blockIds.has(blockId)) errors.push(`Block "${blockId}": not found in the diagram`);
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`Block "${blockId}": entry must be an object`);
+            return;
+        }
+        const block = {};
+        Object.entries(entry).forEach(([key, value]) => {
+            if (!STATUS_ATTRIBUTES[key]) {
+                errors.push(`Block "${blockId}": unknown attribute "${key}"`);
+            } else if (!STATUS_ATTRIBUTES[key](value)) {
+                errors.push(`Block "${blockId}": invalid ${key} ${JSON.stringify(value)}`);
+            } else {
+                block[key] = value;
+            }
+        });
+        if (block.state === undefined) {
+            errors.push(`Block "${blockId}": state is missing or invalid`);
+            return;
+        }
+        if (!STATES.has(block.state)) errors.push(`Block "${blockId}": unknown state "${block.state}"`);
+        blocks.set(blockId, block);
+    });
+    
+    return { blocks, errors };
+}
+
+/**
+ * Parse the status of all blocks from the comment lines and the embedded JSON status
+ * document of a mermaid file. Entries of the JSON document take precedence. Blocks in
+ * states that are not registered are kept, and reported like malformed entries.
  * @param {string} fileContent - The complete mermaid file content
- * @returns {Map<string, Object>} Map of block IDs to {state: string, runtime: number} objects
+ * @returns {Object} Object with the blocks as Map of block IDs to block data and a list of
+ *   error messages about malformed entries
+ */
+function parseStatus(fileContent) {
+    const blocks = new Map();
+    const errors = [];
+    const {nodes} = tokenizeFlowchart(extractDiagram(fileContent));
+    const blockIds = new Set(nodes.keys());
+    const block = findStatusBlock(fileContent);
+    
+    // Comment lines of the form "%% Block: State (12s)" where the runtime is optional
+    fileContent.split('\n').forEach((line, index) => {
+        if (block && index >= block.first && index <= block.last) return;
+        const commentMatch = line.match(/^%%\s*([^\s:]+):(.*)$/);
+        if (!commentMatch || commentMatch[1] === 'Status') return;
+        const [, blockId, rest] = commentMatch;
+        const stateMatch = rest.match(/^\s*(\w+)\s*(?:\((\d+(?:\.\d+)?)s\))?\s*$/);
+        // Other comments are fine, but not if they look like the status of a block
+        if (!blockIds.has(blockId)) return;
+        if (!stateMatch) {
+            errors.push(`Block "${blockId}": malformed status "${line}"`);
+            return;
+        }
+        const runtime = stateMatch[2] === undefined ? undefined : parseFloat(stateMatch[2]);
+        if (!STATES.has(stateMatch[1])) errors.push(`Block "${blockId}": unknown state "${stateMatch[1]}"`);
+        blocks.set(blockId, { state: stateMatch[1], runtime });
+    });
+    
+    if (block && block.error) errors.push(block.error);
+    const {error: policyError} = getStalenessPolicy(fileContent, {warnAfter_s: null, staleAfter_s: null});
+    if (policyError) errors.push(policyError);
+    if (block && block.doc) {
+        const result = validateStatus(block.doc, blockIds);
+        const timestamp = getTimestamp(fileContent);
+        errors.push(...result.errors);
+        result.blocks.forEach((entry, blockId) => {
+            if (!blockIds.has(blockId)) return;
+            // Derive the runtime from start and end, or the status timestamp while running
+            const end = entry.end ? new Date(entry.end) : timestamp;
+            if (entry.runtime === undefined && entry.start && end) {
+                entry.runtime = Math.max(0, (end.getTime() - new Date(entry.start).getTime()) / 1000);
+            }
+            blocks.set(blockId, entry);
+        });
+    }
+    
+    return { blocks, errors };
+}
+
+/**
+ * Parse session data from mermaid file comments and the embedded JSON status document and
+ * return block states and runtimes
+ * @param {string} fileContent - The complete mermaid file content
+ * @returns {Map<string, Object>} Map of block IDs to {state: string, runtime: number} objects.
+ *   Blocks from the JSON status document may carry start, end, attempts, message, logUrl
+ *   and expected.
  */
 function parseStates(fileContent) {
     const blocks = new Map();
     
-    // First, find all block IDs in the diagram content (not in comments)
-    const diagram = extractDiagram(fileContent);
-    const blockMatches = diagram.matchAll(/(\w+)\s*(?:\[.*?\]|\(.*?\))/g);
-    for (const match of blockMatches) {
-        const blockId = match[1];
+    // First, find all nodes in the diagram content (not in comments)
+    const {nodes} = tokenizeFlowchart(extractDiagram(fileContent));
+    nodes.forEach((node, blockId) => {
         blocks.set(blockId, { state: STATE_DEFAULT, runtime: undefined });
-    }
+    });
     
-    // Then, parse session status comments and override defaults where available
-    const stateMatches = fileContent.matchAll(/^%% (\w+):\s*(\w+)\s*\((\d+)s\)/gm);
-    for (const match of stateMatches) {
-        const blockId = match[1];
-        const state = match[2];
-        const runtime = parseInt(match[3], 10);
-        blocks.set(blockId, { state, runtime });
-    }
+    // Then, parse the session status and override defaults where available
+    parseStatus(fileContent).blocks.forEach((block, blockId) => {
+        blocks.set(blockId, block);
+    });
     
     return blocks;
 }
 
+/**
+ * Parse the edges of the diagram
+ * @param {string} fileContent - The complete mermaid file content
+ * @returns {Array<Object>} List of {from, to} objects in the order Mermaid numbers the edges.
+ *   Endpoints may be blocks or subgraphs.
+ */
+function parseEdges(fileContent) {
+    return tokenizeFlowchart(extractDiagram(fileContent)).edges.map(({from, to}) => ({from, to}));
+}
+
+/**
+ * Parse the dependencies between the blocks of the diagram. An edge from or to a subgraph
+ * stands for edges from or to all blocks it contains, including those of nested subgraphs.
+ * Invisible links only arrange the layout and are left out.
+ * @param {string} fileContent - The complete mermaid file content
+ * @returns {Array<Object>} List of distinct {from, to} objects between block IDs
+ */
+function parseBlockEdges(fileContent) {
+    const {subgraphs, edges} = tokenizeFlowchart(extractDiagram(fileContent));
+    const blocksOf = id => (subgraphs.has(id) ? [
+        ...subgraphs.get(id).nodes,
+        ...subgraphs.get(id).subgraphs.flatMap(blocksOf)
+    ] : [id]);
+    
+    const blockEdges = new Map();
+    edges.forEach(({from, to, type}) => {
+        if (type === 'invisible') return;
+        blocksOf(from).forEach(source => blocksOf(to).forEach(target => {
+            if (source !== target) blockEdges.set(`${source}\n${target}`, {from: source, to: target});
+        }));
+    });
+    return [...blockEdges.values()];
+}
+
+/**
+ * Derive a combined state of several blocks: the first failed state if any block failed (see
+ * the failed option of registerState), Running if any block shows the spinner, the common
+ * state if all blocks agree, Success if all blocks are done and Running if some are done.
+ * @param {Array<Object>} blocks - Block data objects as returned by parseStates
+ * @returns {Object} Object with state, runtime (sum of all runtimes), done and total properties
+ */
+function aggregateStates(blocks) {
+    const states = blocks.map(block => block.state);
+    const defs = states.map(getStateDef);
+    const done = defs.filter(def => def.done).length;
+    const runtimes = blocks.map(block => block.runtime).filter(runtime => runtime >= 0);
+    const runtime = runtimes.length ? runtimes.reduce((a, b) => a + b, 0) : undefined;
+    
+    const failedState = states.find((s, index) => defs[index].failed);
+    
+    let state = STATE_DEFAULT;
+    if (failedState) state = failedState;
+    else if (defs.some(def => def.spinner)) state = STATE_RUNNING;
+    else if (states.length && states.every(s => s === states[0])) state = states[0];
+    else if (states.length && done === states.length) state = STATE_SUCCESS;
+    else if (done > 0) state = STATE_RUNNING;
+    
+    return { state, runtime, done, total: blocks.length };
+}
+
+/**
+ * Compute the aggregate state of each subgraph from all blocks it contains, including
+ * those in nested subgraphs
+ * @param {string} fileContent - The complete mermaid file content
+ * @param {Map<string, Object>} states - Block states (default: parseStates(fileContent))
+ * @returns {Map<string, Object>} Map of subgraph IDs to aggregateStates results
+ */
+function parseGroupStates(fileContent, states = parseStates(fileContent)) {
+    const {subgraphs} = tokenizeFlowchart(extractDiagram(fileContent));
+    const descendants = id => [
+        ...subgraphs.get(id).nodes,
+        ...subgraphs.get(id).subgraphs.flatMap(descendants)
+    ];
+    
+    const groups = new Map();
+    subgraphs.forEach((subgraph, groupId) => {
+        groups.set(groupId, aggregateStates(descendants(groupId).map(blockId => states.get(blockId))));
+    });
+    return groups;
+}
+
+/**
+ * Follow the edges of a flowchart from some blocks. An edge from or to a subgraph stands for
+ * edges from or to all blocks it contains. Invisible links only arrange the layout and are
+ * not followed.
+ * @param {Object} flowchart - Flowchart as returned by tokenizeFlowchart
+ * @param {Iterable<string>} startIds - IDs of the blocks or subgraphs to start from
+ * @param {boolean} upstream - Follow the edges against their direction (default: false)
+ * @returns {Object} Object with ids (Set of the reached block and subgraph IDs, without the
+ *          start IDs unless reached again) and edges (Set of the followed edge indices)
+ */
+function traverseEdges(flowchart, startIds, upstream = false) {
+    const {subgraphs, edges} = flowchart;
+    const parents = new Map();
+    subgraphs.forEach((subgraph, groupId) => {
+        [...subgraph.nodes, ...subgraph.subgraphs].forEach(id => parents.set(id, groupId));
+    });
+    const withAncestors = id => (id === undefined ? [] : [id, ...withAncestors(parents.get(id))]);
+    const withDescendants = id => (subgraphs.has(id) ? [
+        id,
+        ...subgraphs.get(id).nodes,
+        ...subgraphs.get(id).subgraphs.flatMap(withDescendants)
+    ] : [id]);
+
+    const ids = new Set();
+    const followed = new Set();
+    const queue = [...startIds];
+    while (queue.length) {
+        const sources = withAncestors(queue.shift());
+        edges.forEach((edge, index) => {
+            const [source, target] = upstream ? [edge.to, edge.from] : [edge.from, edge.to];
+            if (edge.type === 'invisible' || !sources.includes(source)) return;
+            followed.add(index);
+            withDescendants(target).forEach(id => {
+                if (ids.has(id)) return;
+                ids.add(id);
+                queue.push(id);
+            });
+        });
+    }
+    return {ids, edges: followed};
+}
+
+/**
+ * Parse the edges of the diagram with their state: edges downstream of a failed block (one in
+ * a state registered as failed) are failed, edges into a running block (one showing the
+ * spinner) are active and edges out of a finished block are done. Endpoints that are subgraphs take the aggregate state of their blocks.
+ * Invisible links stay default, so that styling them does not make them visible.
+ * @param {string} fileContent - The complete mermaid file content
+ * @param {Map<string, Object>} states - Block states (default: parseStates(fileContent))
+ * @returns {Array<Object>} List of {from, to, state} objects in the order Mermaid numbers the
+ *          edges, with one of EDGE_STATES as state
+ */
+function parseEdgeStates(fileContent, states = parseStates(fileContent)) {
+    const flowchart = tokenizeFlowchart(extractDiagram(fileContent));
+    const groups = parseGroupStates(fileContent, states);
+    const stateOf = id => (groups.get(id) || states.get(id))?.state;
+    const failedIds = [...states.keys()].filter(blockId => getStateDef(stateOf(blockId)).failed);
+    const failedEdges = traverseEdges(flowchart, failedIds).edges;
+
+    return flowchart.edges.map(({from, to, type}, index) => {
+        if (type === 'invisible') return {from, to, state: EDGE_DEFAULT};
+        let state = EDGE_DEFAULT;
+        if (failedEdges.has(index)) state = EDGE_FAILED;
+        else if (getStateDef(stateOf(to)).spinner) state = EDGE_ACTIVE;
+        else if (getStateDef(stateOf(from)).done) state = EDGE_DONE;
+        return {from, to, state};
+    });
+}
+
+/**
+ * Find the lineage of a block: all blocks and edges upstream and downstream of it
+ * @param {string} fileContent - The complete mermaid file content
+ * @param {string} blockId - ID of the block or subgraph
+ * @returns {Object} Object with upstream and downstream (Sets of block and subgraph IDs) and
+ *          edges (Set of the indices of the edges in the lineage)
+ */
+function getLineage(fileContent, blockId) {
+    const flowchart = tokenizeFlowchart(extractDiagram(fileContent));
+    const upstream = traverseEdges(flowchart, [blockId], true);
+    const downstream = traverseEdges(flowchart, [blockId]);
+    return {
+        upstream: upstream.ids,
+        downstream: downstream.ids,
+        edges: new Set([...upstream.edges, ...downstream.edges])
+    };
+}
+
 /**
  * Compare specific attribute between two parseStates results and detect any changes
  * @param {Map<string, Object>} oldStates - Previous states map from parseStates
@@ -165,30 +1095,136 @@ function isAttrChange(oldStates, newStates, attribute) {
 }
 
 /**
- * Extract fill and text colors from a CSS style string
- * @param {string} styleString - CSS style string (e.g., 'fill:#abc123,color:#def456')
- * @returns {Object} Object with fillColor and textColor properties
+ * Parse a CSS style string as used in classDef statements. Commas within parentheses, e.g.
+ * of rgb() colors, do not separate properties.
+ * @param {string} styleString - CSS style string (e.g., 'fill:rgb(1,2,3),stroke:#123456')
+ * @returns {Map<string, string>} Map of property names to values
  */
-function extractColors(styleString) {
-    if (!styleString) {
-        return {
-            fillColor: '#4472C4',
-            textColor: '#fff'
-        };
+function parseStyle(styleString) {
+    const properties = new Map();
+    (styleString || '').split(/,(?![^(]*\))/).forEach(property => {
+        const separator = property.indexOf(':');
+        if (separator < 0) return;
+        properties.set(property.slice(0, separator).trim(), property.slice(separator + 1).trim());
+    });
+    return properties;
+}
+
+/**
+ * Resolve any CSS color, e.g. a named color, rgb(), hsl() or var(--name), to a hex color.
+ * The browser resolves the color, so outside of a browser only hex colors are resolved.
+ * @param {string} value - CSS color
+ * @returns {string|null} Hex color (#rrggbb, or #rrggbbaa if transparent), the value itself if
+ *          it cannot be converted, or null if it is not a valid color
+ */
+function resolveColor(value) {
+    const color = String(value || '').trim();
+    if (/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(color)) return color;
+    if (!color || typeof document === 'undefined' || !document.documentElement) return color || null;
+    
+    const probe = document.createElement('span');
+    probe.style.color = color;
+    if (!probe.style.color) return null;
+    probe.style.display = 'none';
+    document.documentElement.appendChild(probe);
+    const computed = getComputedStyle(probe).color;
+    probe.remove();
+    
+    const hex = n => Math.round(Math.max(0, Math.min(255, n))).toString(16).padStart(2, '0');
+    const channels = computed.match(/^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+    if (!channels) {
+        // Colors in other color spaces, e.g. oklch(), are computed as is, so draw them instead
+        const context = document.createElement('canvas').getContext?.('2d');
+        if (!context) return color;
+        context.fillStyle = computed;
+        context.fillRect(0, 0, 1, 1);
+        const [r, g, b, a] = context.getImageData(0, 0, 1, 1).data;
+        return '#' + [r, g, b].map(hex).join('') + (a < 255 ? hex(a) : '');
     }
-    const fillMatch = styleString.match(/fill:#([a-fA-F0-9]{3,6})/);
-    const colorMatch = styleString.match(/color:#([a-fA-F0-9]{3,6})/);
+    const alpha = channels[4] === undefined ? 1 :
+        channels[4].endsWith('%') ? parseFloat(channels[4]) / 100 : parseFloat(channels[4]);
+    return '#' + [channels[1], channels[2], channels[3]].map(Number).map(hex).join('') +
+        (alpha < 1 ? hex(alpha * 255) : '');
+}
+
+/**
+ * Resolve the colors of a CSS style string to hex colors, which Mermaid's classDef statements
+ * accept. Invalid colors are dropped.
+ * @param {string} styleString - CSS style string (e.g., 'fill:white,stroke:var(--accent)')
+ * @returns {string} Style string with hex colors
+ */
+function normalizeStyle(styleString) {
+    const colorProperties = ['fill', 'stroke', 'color', 'background', 'background-color', 'border-color'];
+    return [...parseStyle(styleString)].flatMap(([name, value]) => {
+        if (!colorProperties.includes(name)) return [`${name}:${value}`];
+        const color = resolveColor(value);
+        return color ? [`${name}:${color}`] : [];
+    }).join(',');
+}
+
+/**
+ * Extract fill, stroke and text colors from a CSS style string. Colors are resolved to hex
+ * colors if possible (see resolveColor). Missing or invalid colors fall back to the theme.
+ * @param {string} styleString - CSS style string (e.g., 'fill:#abc123,stroke:rgb(1,2,3),color:white')
+ * @returns {Object} Object with fillColor, strokeColor and textColor properties
+ */
+function extractColors(styleString) {
+    const properties = parseStyle(styleString);
+    const color = (name, fallback) => resolveColor(properties.get(name)) || fallback;
     return {
-        fillColor: fillMatch ? `#${fillMatch[1]}` : '#4472C4',
-        textColor: colorMatch ? `#${colorMatch[1]}` : '#fff'
+        fillColor: color('fill', getTheme().accent),
+        strokeColor: color('stroke', getTheme().accent),
+        textColor: color('color', getTheme().barText)
     };
 }
 
+/**
+ * Set a property of a CSS style string as used in classDef statements
+ * @param {string} styleString - CSS style string (e.g., 'fill:#abc123,stroke:#123456')
+ * @param {string} name - Property name, e.g. 'fill'
+ * @param {string} value - Property value
+ * @returns {string} Style string with the property replaced or appended
+ */
+function setStyleProperty(styleString, name, value) {
+    const properties = parseStyle(styleString);
+    properties.delete(name);
+    return [[name, value], ...properties].map(([key, propertyValue]) => `${key}:${propertyValue}`).join(',');
+}
+
+/**
+ * Generate the Mermaid front matter that derives the Mermaid theme from a theme
+ * @param {Object} config - Configuration object with theme settings
+ * @param {string} config.defaultStyle - Default CSS styling for blocks (default: style of the default state)
+ * @param {Object} config.theme - Theme to derive the Mermaid theme variables from (default: the active theme)
+ * @returns {string} Front matter with the theme configuration
+ */
+function mermaidThemeConfig(config = {}) {
+    const theme = config.theme || getTheme();
+    const {fillColor, strokeColor, textColor} = extractColors(config.defaultStyle || getStateDef(STATE_DEFAULT).style);
+    const color = value => resolveColor(value) || value;
+    return (
+        "---\n" +
+        "config:\n" +
+        "  theme: 'base'\n" +
+        "  themeVariables:\n" +
+        `    darkMode: ${theme.dark}\n` +
+        `    background: '${color(theme.background)}'\n` +
+        `    primaryColor: '${fillColor}'\n` +
+        `    primaryTextColor: '${textColor}'\n` +
+        `    primaryBorderColor: '${strokeColor}'\n` +
+        `    lineColor: '${color(theme.mutedText)}'\n` +
+        `    clusterBkg: '${color(theme.surface)}'\n` +
+        `    clusterBorder: '${color(theme.border)}'\n` +
+        `    titleColor: '${color(theme.text)}'\n` +
+        `    edgeLabelBackground: '${color(theme.background)}'\n` +
+        "---\n\n"
+    );
+}
+
 /**
  * Extract diagram text from file content and apply theme configuration
  * @param {string} fileContent - The complete mermaid file content
- * @param {Object} config - Configuration object with theme settings
- * @param {string} config.defaultStyle - Default CSS styling for blocks
+ * @param {Object} config - Configuration object with theme settings, see mermaidThemeConfig
  * @returns {string} Processed diagram text with theme configuration
  */
 function extractDiagram(fileContent, config = {}) {
@@ -197,35 +1233,623 @@ function extractDiagram(fileContent, config = {}) {
     
     // Inject theme configuration if not already present
     if (!diagramText.includes('---\nconfig:')) {
-        const {fillColor, textColor} = extractColors(config.defaultStyle);
-        const themeConfig = (
-            "---\n" +
-            "config:\n" +
-            "  theme: 'base'\n" +
-            "  themeVariables:\n" +
-            `    primaryColor: '${fillColor}'\n` +
-            `    primaryTextColor: '${textColor}'\n` +
-            "---\n\n"
-        );
-        return themeConfig + diagramText;
+        return mermaidThemeConfig(config) + diagramText;
     }
     
     return diagramText;
 }
 
+// Options overriding the registered styles of the built-in states, see createDAG
+const STATE_STYLE_OPTIONS = {
+    [STATE_DEFAULT]: ['defaultStyle', 'staleDefaultStyle'],
+    [STATE_RUNNING]: ['defaultStyle', 'staleDefaultStyle'],
+    [STATE_SUCCESS]: ['successStyle', 'staleSuccessStyle'],
+    [STATE_FAILED]: ['failedStyle', 'staleFailedStyle']
+};
+
+/**
+ * Get the style of a state at a staleness level. Delayed states are filled with the
+ * delayedSurface color of the theme unless they define a delayedStyle.
+ * @param {string} state - State name
+ * @param {string} level - Staleness level (default: STALENESS_FRESH)
+ * @param {Object} config - Style options overriding the registered styles of the built-in states, e.g. successStyle (optional)
+ * @returns {string} CSS style string
+ */
+function getStateStyle(state, level = STALENESS_FRESH, config = {}) {
+    const [key, staleKey] = STATE_STYLE_OPTIONS[state] || [];
+    const def = getStateDef(state);
+    const style = config[key] || def.style;
+    if (level === STALENESS_STALE) return config[staleKey] || def.staleStyle;
+    if (level === STALENESS_DELAYED) return def.delayedStyle || setStyleProperty(style, 'fill', getTheme().delayedSurface);
+    return style;
+}
+
+/**
+ * Get the CSS class of a state at a staleness level. Delayed and stale blocks use variants of
+ * the CSS class of their state, so that the staleness can be changed without rendering the
+ * diagram again.
+ * @param {Object} def - State definition as returned by getStateDef
+ * @param {string} level - Staleness level
+ * @returns {string} CSS class name
+ */
+function getStateClass(def, level) {
+    return level === STALENESS_FRESH ? def.cssClass : `${def.cssClass}_${level}`;
+}
+
+/**
+ * Determine the status line and CSS class of each block and group of a diagram
+ * @param {string} fileContent - The complete mermaid file content
+ * @param {string} diagram - Diagram text as returned by extractDiagram
+ * @param {Object} config - Configuration object
+ * @param {string} config.level - Staleness level of the status (default: STALENESS_FRESH)
+ * @param {string} config.fixedWidth - Fixed width of the status lines of blocks (optional)
+ * @param {boolean} config.groupStatus - Show the aggregate status of subgraphs (default: true)
+ * @returns {Map<string, Object>} Map of block and group IDs to objects with text, fixedWidth,
+ *          showSpinner, color and cssClass properties
+ */
+function getBlockStatuses(fileContent, diagram, config = {}) {
+    const level = config.level || STALENESS_FRESH;
+    const {nodes, subgraphs} = tokenizeFlowchart(diagram);
+    
+    const statuses = new Map();
+    const addStatus = (id, data, text, fixedWidth) => {
+        const state = STATES.has(data.state) ? data.state : STATE_DEFAULT;
+        const def = getStateDef(state);
+        statuses.set(id, {
+            text,
+            fixedWidth,
+            showSpinner: def.spinner && level !== STALENESS_STALE,
+            color: extractColors(getStateStyle(state, STALENESS_FRESH, config)).textColor,
+            cssClass: getStateClass(def, level)
+        });
+    };
+    parseStates(fileContent).forEach((blockData, blockId) => {
+        if (!nodes.has(blockId)) return;
+        addStatus(blockId, blockData, formatRuntime(blockData), config.fixedWidth);
+    });
+    
+    // Subgraphs with a free text title cannot be extended by a status line
+    if (config.groupStatus !== false) parseGroupStates(fileContent).forEach((groupData, groupId) => {
+        const subgraph = subgraphs.get(groupId);
+        if (!subgraph.labels.length && subgraph.insertAt === null) return;
+        addStatus(groupId, groupData, formatGroupStatus(groupData));
+    });
+    return statuses;
+}
+
+// Options overriding the styles of the edge states, see createDAG
+const EDGE_STYLE_OPTIONS = {
+    [EDGE_ACTIVE]: 'activeEdgeStyle',
+    [EDGE_DONE]: 'doneEdgeStyle',
+    [EDGE_FAILED]: 'failedEdgeStyle'
+};
+
+/**
+ * Get the style of an edge state at a staleness level. Default edges keep the style of
+ * Mermaid, and stale edges are greyed.
+ * @param {string} state - One of EDGE_STATES
+ * @param {string} level - Staleness level (default: STALENESS_FRESH)
+ * @param {Object} config - Style options overriding the styles of the edge states, e.g. failedEdgeStyle (optional)
+ * @returns {string} CSS style string, empty for default edges
+ */
+function getEdgeStyle(state, level = STALENESS_FRESH, config = {}) {
+    if (!EDGE_STYLE_OPTIONS[state]) return '';
+    const theme = getTheme();
+    const line = color => `stroke:${color},stroke-width:${theme.strokeWidth}`;
+    const defaultStyles = {
+        [EDGE_ACTIVE]: `${line(theme.accent)},stroke-dasharray:6 4`,
+        [EDGE_DONE]: line(theme.success),
+        [EDGE_FAILED]: line(theme.failed)
+    };
+    const style = config[EDGE_STYLE_OPTIONS[state]] || defaultStyles[state];
+    if (level !== STALENESS_STALE) return style;
+    const staleColors = {
+        [EDGE_ACTIVE]: theme.stale,
+        [EDGE_DONE]: theme.staleSuccess,
+        [EDGE_FAILED]: theme.staleFailed
+    };
+    return setStyleProperty(style, 'stroke', staleColors[state]);
+}
+
+/**
+ * Determine the state and style of each edge of a diagram
+ * @param {string} fileContent - The complete mermaid file content
+ * @param {Object} config - Configuration object
+ * @param {string} config.level - Staleness level of the status (default: STALENESS_FRESH)
+ * @returns {Array<Object>} List of {from, to, state, style} objects in the order Mermaid
+ *          numbers the edges, with styles as accepted by linkStyle statements
+ */
+function getEdgeStatuses(fileContent, config = {}) {
+    return parseEdgeStates(fileContent).map(edge => ({
+        ...edge,
+        style: normalizeStyle(getEdgeStyle(edge.state, config.level || STALENESS_FRESH, config))
+    }));
+}
+
+/**
+ * Add status lines, CSS classes and the class definitions of all registered states to a
+ * diagram, and style its edges with linkStyle statements
+ * @param {string} diagram - Diagram text as returned by extractDiagram
+ * @param {Map<string, Object>} statuses - Statuses as returned by getBlockStatuses
+ * @param {Object} config - Style options overriding the registered styles of the built-in states (optional)
+ * @param {Array<Object>} edgeStatuses - Edge statuses as returned by getEdgeStatuses (default: none)
+ * @returns {string} Styled diagram text
+ */
+function styleDiagram(diagram, statuses, config = {}, edgeStatuses = []) {
+    const statusLines = new Map();
+    const classMembers = new Map();
+    statuses.forEach((status, id) => {
+        statusLines.set(id, formatState(status.text, status.showSpinner, status.color, id, status.fixedWidth));
+        if (status.cssClass === CLS_DEFAULT) return;
+        classMembers.set(status.cssClass, [...(classMembers.get(status.cssClass) || []), id]);
+    });
+    const classStatements = [...classMembers].map(
+        ([cssClass, blockIds]) => `class ${blockIds.join(',')} ${cssClass}`
+    );
+    
+    // Add CSS styling for all registered states and their delayed and stale variants. States
+    // sharing a CSS class (e.g. Mermaid's predefined default class) use the style of the
+    // first state registered for it.
+    const classDefs = new Map();
+    STALENESS_LEVELS.forEach(level => STATES.forEach((def, state) => {
+        const cssClass = getStateClass(def, level);
+        if (!classDefs.has(cssClass)) classDefs.set(cssClass, getStateStyle(state, level, config));
+    }));
+
+    // Edges are addressed by their index, so edges with the same style share one statement
+    const linkStyles = new Map();
+    edgeStatuses.forEach(({style}, index) => {
+        if (style) linkStyles.set(style, [...(linkStyles.get(style) || []), index]);
+    });
+    return `${appendToLabels(diagram, statusLines)}\n\n` + [
+        ...classStatements,
+        ...[...classDefs].map(([cssClass, classStyle]) => `classDef ${cssClass} ${normalizeStyle(classStyle)}`),
+        ...[...linkStyles].map(([style, indices]) => `linkStyle ${indices.join(',')} ${style}`)
+    ].join("\n");
+}
+
+/**
+ * Generate the styled diagram text of a mermaid file as rendered by createDAG, e.g. to render
+ * snapshots with the Mermaid CLI (see bin/dagmaid.js)
+ * @param {string} fileContent - The complete mermaid file content
+ * @param {Object} config - Configuration object, see getBlockStatuses and the style options of createDAG
+ * @param {boolean} config.edgeStatus - Style the edges by the state of their blocks (default: true)
+ * @returns {string} Styled diagram text with theme configuration
+ */
+function buildStyledDiagram(fileContent, config = {}) {
+    const diagram = extractDiagram(fileContent, {defaultStyle: getStateStyle(STATE_DEFAULT, STALENESS_FRESH, config)});
+    const edgeStatuses = config.edgeStatus === false ? [] : getEdgeStatuses(fileContent, config);
+    return styleDiagram(diagram, getBlockStatuses(fileContent, diagram, config), config, edgeStatuses);
+}
+
+/**
+ * Apply a delta to the status of a mermaid file. Deltas are merged into the embedded JSON
+ * status document if the file has one or if they carry more than state and runtime.
+ * Otherwise, the status comments are rewritten.
+ * @param {string} fileContent - The complete mermaid file content
+ * @param {Object} delta - Delta object, e.g. {status: '2025-10-05T22:00:00Z', blocks: {Write: {state: 'Running', runtime: 14}}}
+ * @param {string} delta.status - New status timestamp (optional)
+ * @param {Object} delta.blocks - Map of block IDs to block entries (see validateStatus). Missing attributes keep their value.
+ * @returns {string} File content with updated status
+ */
+function applyStatusDelta(fileContent, delta) {
+    const states = parseStates(fileContent);
+    const block = findStatusBlock(fileContent);
+    const entries = Object.entries(delta.blocks || {});
+    const isExtended = entries.some(([, entry]) => (
+        Object.keys(entry).some(key => key !== 'state' && key !== 'runtime')
+    ));
+    
+    if ((block && block.doc) || isExtended) {
+        const doc = {...(block && block.doc)};
+        doc.blocks = {...doc.blocks};
+        if (delta.status) doc.status = delta.status;
+        // Blocks new to the document start from their comment line, including the runtime
+        entries.forEach(([blockId, entry]) => {
+            doc.blocks[blockId] = {...(doc.blocks[blockId] || states.get(blockId)), ...entry};
+        });
+        return setStatusBlock(fileContent, doc);
+    }
+    
+    const setLine = (content, pattern, line) => (
+        pattern.test(content) ? content.replace(pattern, () => line) : `${content}\n${line}`
+    );
+    
+    let content = fileContent;
+    if (delta.status) {
+        content = setLine(content, /^%% Status:.*$/m, `%% Status: ${delta.status}`);
+    }
+    entries.forEach(([blockId, entry]) => {
+        const previous = states.get(blockId) || {};
+        const state = entry.state ?? previous.state ?? STATE_DEFAULT;
+        const runtime = entry.runtime ?? previous.runtime;
+        const line = `%% ${blockId}: ${state}` + (runtime >= 0 ? ` (${runtime}s)` : '');
+        content = setLine(content, new RegExp(`^%% ${escapeRegExp(blockId)}:.*$`, 'm'), line);
+    });
+    return content;
+}
+
+/**
+ * Check whether file content contains a flowchart (e.g. to reject HTML error pages)
+ * @param {string} fileContent - The complete mermaid file content
+ * @returns {boolean} True if the content starts with a graph or flowchart declaration
+ */
+function hasDiagram(fileContent) {
+    const diagramText = fileContent
+        .replace(/^%%.*$/gm, '')
+        .trim()
+        .replace(/^---\n[\s\S]*?\n---/, '')
+        .trim();
+    return /^(graph|flowchart)\b/.test(diagramText);
+}
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    const entities = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'};
+    return String(text).replace(/[&<>"']/g, c => entities[c]);
+}
+
+// Escape text for use as a literal in a regular expression
+function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Connection states reported by the diagram manager
+const CONN_CONNECTING = 'connecting';
+const CONN_CONNECTED = 'connected';
+const CONN_RETRYING = 'retrying';
+const CONN_HTTP_ERROR = 'http-error';
+const CONN_PARSE_ERROR = 'parse-error';
+const CONN_STOPPED = 'stopped';
+const CONN_REPLAY = 'replay';
+
+/**
+ * Scheduler running delayed jobs from a single timer, e.g. the polling of many diagram
+ * managers. Jobs returning a promise count as running until it settles, and at most
+ * maxConcurrent jobs run at the same time. Due jobs wait for a free slot, earliest first.
+ * @param {Object} opts - Configuration options
+ * @param {number} opts.maxConcurrent - Maximum number of jobs running at the same time (default: 4)
+ * @returns {Object} Scheduler object with a schedule(job, delay_s) method returning a cancel function
+ */
+function createScheduler(opts = {}) {
+    const config = {
+        maxConcurrent: 4,
+        ...opts
+    };
+    const jobs = new Set();
+    let timer = null;
+    let active = 0;
+    
+    function runDueJobs() {
+        clearTimeout(timer);
+        timer = null;
+        const now = Date.now();
+        const queue = [...jobs].sort((a, b) => a.due - b.due);
+        queue.filter(job => job.due <= now).slice(0, config.maxConcurrent - active).forEach(job => {
+            jobs.delete(job);
+            active++;
+            Promise.resolve()
+                .then(job.run)
+                .catch(error => console.error('Error running scheduled job:', error))
+                .finally(() => {
+                    active--;
+                    runDueJobs();
+                });
+        });
+        
+        // Wake up for the next job, unless all slots are taken
+        const next = [...jobs].reduce((due, job) => Math.min(due, job.due), Infinity);
+        if (next !== Infinity && active < config.maxConcurrent) {
+            timer = setTimeout(runDueJobs, Math.max(0, next - now));
+        }
+    }
+    
+    function schedule(run, delay_s) {
+        const job = {run, due: Date.now() + delay_s * 1000};
+        jobs.add(job);
+        runDueJobs();
+        
+        return function cancel() {
+            jobs.delete(job);
+        };
+    }
+    
+    return {
+        schedule
+    };
+}
+
+/**
+ * Parse a recording of a diagram: an NDJSON log with one {"time": ..., "content": ...} object
+ * per line, where time is an ISO 8601 timestamp or milliseconds since the epoch and content
+ * the .mmd content received at that time (see getRecording of createDiagramManager)
+ * @param {string} text - NDJSON text
+ * @returns {Array<Object>} Snapshots with time (milliseconds) and content, in order of time
+ */
+function parseRecording(text) {
+    const snapshots = [];
+    text.split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Recording line ${index + 1}: ${error.message}`);
+        }
+        const time = new Date(entry?.time).getTime();
+        if (isNaN(time) || typeof entry.content !== 'string') {
+            throw new Error(`Recording line ${index + 1}: expected time and content`);
+        }
+        snapshots.push({time, content: entry.content});
+    });
+    return snapshots.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Format a recording as NDJSON log, see parseRecording
+ * @param {Array<Object>} snapshots - Snapshots with time (milliseconds) and content
+ * @returns {string} NDJSON text
+ */
+function formatRecording(snapshots) {
+    return snapshots.map(({time, content}) => (
+        JSON.stringify({time: new Date(time).toISOString(), content}) + '\n'
+    )).join('');
+}
+
+/**
+ * Fetch a recording: an NDJSON log (see parseRecording), or a sequence of .mmd snapshots
+ * whose status timestamp is their time. A single URL may also point to one .mmd snapshot,
+ * which is told apart from an NDJSON log by not starting with "{".
+ * @param {string|Array<string>} source - URL of an NDJSON log or a .mmd snapshot, or URLs of .mmd snapshots
+ * @returns {Promise<Array<Object|string>>} Recording to pass to createReplaySource
+ */
+function loadRecording(source) {
+    const urls = Array.isArray(source) ? source : [source];
+    return Promise.all(urls.map(url => fetch(url, {cache: 'no-store'}).then(r => {
+        if (!r.ok) throw new Error(`HTTP ${r.status} while fetching ${url}`);
+        return r.text();
+    }))).then(texts => {
+        if (Array.isArray(source)) return texts;
+        return texts[0].trimStart().startsWith('{') ? parseRecording(texts[0]) : texts;
+    });
+}
+
+/**
+ * Replay source playing a recorded run to a diagram manager (see its replay option). The
+ * source has a clock of its own, which runs at the given speed while playing and can be set
+ * with seek. Subscribers are called with the snapshot at the time of the clock whenever
+ * the clock changes.
+ * @param {Array<Object|string>} recording - Snapshots with time and content (see parseRecording),
+ *        or .mmd contents whose status timestamp is their time
+ * @param {Object} opts - Configuration options
+ * @param {number} opts.speed - Replay speed, e.g. 60 for a minute per second (default: 1)
+ * @param {number} opts.tick_s - Interval of advancing the clock while playing in seconds (default: 0.25)
+ * @returns {Object} Replay source with play, pause, isPlaying, setSpeed, getSpeed, seek, now, getRange, getTimes and subscribe methods
+ */
+function createReplaySource(recording, opts = {}) {
+    const config = {
+        speed: 1,
+        tick_s: 0.25,
+        ...opts
+    };
+    const snapshots = recording.map((entry, index) => {
+        const snapshot = typeof entry === 'string' ?
+            {time: getTimestamp(entry)?.getTime(), content: entry} :
+            {time: new Date(entry.time).getTime(), content: entry.content};
+        if (!(snapshot.time >= 0)) throw new Error(`Snapshot ${index + 1} has no time`);
+        return snapshot;
+    }).sort((a, b) => a.time - b.time);
+    if (!snapshots.length) throw new Error('Recording is empty');
+    
+    const subs = new Set();
+    const range = {start: snapshots[0].time, end: snapshots[snapshots.length - 1].time};
+    let time = range.start;
+    let speed = config.speed;
+    let timer = null;
+    let lastTick = null;
+    
+    // Latest snapshot at the given time
+    function snapshotAt(at) {
+        let found = snapshots[0];
+        for (const snapshot of snapshots) {
+            if (snapshot.time > at) break;
+            found = snapshot;
+        }
+        return found;
+    }
+    
+    function notify() {
+        const {content} = snapshotAt(time);
+        subs.forEach(callback => callback(content, time));
+    }
+    
+    function tick() {
+        const realTime = Date.now();
+        time = Math.min(range.end, time + (realTime - lastTick) * speed);
+        lastTick = realTime;
+        if (time >= range.end) pause();
+        else notify();
+    }
+    
+    function play() {
+        if (timer) return;
+        if (time >= range.end) time = range.start;
+        lastTick = Date.now();
+        timer = setInterval(tick, config.tick_s * 1000);
+        notify();
+    }
+    
+    function pause() {
+        if (!timer) return;
+        clearInterval(timer);
+        timer = null;
+        notify();
+    }
+    
+    function isPlaying() {
+        return timer !== null;
+    }
+    
+    function setSpeed(newSpeed) {
+        speed = newSpeed;
+        notify();
+    }
+    
+    function getSpeed() {
+        return speed;
+    }
+    
+    /**
+     * Set the clock, e.g. from a scrubber
+     * @param {number} at - Time in milliseconds since the epoch, clamped to the recording
+     */
+    function seek(at) {
+        time = Math.max(range.start, Math.min(range.end, at));
+        lastTick = Date.now();
+        notify();
+    }
+    
+    function now() {
+        return time;
+    }
+    
+    function getRange() {
+        return {...range};
+    }
+    
+    function getTimes() {
+        return snapshots.map(snapshot => snapshot.time);
+    }
+    
+    function subscribe(callback) {
+        subs.add(callback);
+        callback(snapshotAt(time).content, time);
+        
+        return function unsubscribe() {
+            subs.delete(callback);
+        };
+    }
+    
+    return {
+        play,
+        pause,
+        isPlaying,
+        setSpeed,
+        getSpeed,
+        seek,
+        now,
+        getRange,
+        getTimes,
+        subscribe
+    };
+}
+
 /**
- * Centralized diagram file manager that fetches content once and notifies multiple subscribers
+ * Centralized diagram file manager that fetches content once and notifies multiple subscribers.
+ * Besides polling, the content can be pushed by the server through Server-Sent Events or a
+ * WebSocket. Each message carries either the full .mmd content or a JSON state-only delta
+ * (see applyStatusDelta). While a stream is down, the manager polls and reconnects with
+ * exponential backoff. Failed fetches, including requests without a response within
+ * requestTimeout_s, are reported to onError subscribers and also back off exponentially.
+ * onStatus subscribers are notified about changes of the connection state (see the CONN_*
+ * constants). Malformed status entries are reported to onError subscribers whenever they
+ * change.
+ * 
+ * The status can also be served as separate JSON document (see validateStatus), which is
+ * embedded into the content passed to subscribers as "%% @status" comment.
+ * 
+ * Managers of several diagrams can share a scheduler (see createScheduler), so that their
+ * polling runs from one timer with a limited number of concurrent requests. onRedraw
+ * subscribers are called right away if the content has already been fetched.
+ * 
+ * onTransition subscribers are called as callback(blockId, fromState, toState, blockData)
+ * for each block whose state differs from the previous content, after the onRedraw
+ * subscribers. Blocks that were added to the diagram have no transition.
+ * 
+ * The status is delayed or stale once its timestamp is older than the warnAfter_s or
+ * staleAfter_s thresholds, which a "%% StaleAfter:" directive overrides (see
+ * getStalenessPolicy). onRedraw subscribers are notified when the staleness level changes;
+ * they can query it with getStaleness(). The offset between the clocks of the producer and
+ * the browser is estimated from the delay with which new timestamps arrive and subtracted
+ * from the age, up to maxSkew_s.
+ * 
+ * With the record option, each distinct content is recorded with the time it was received
+ * (see getRecording and formatRecording). With the replay option, the content comes from
+ * a replay source (see createReplaySource) instead of diagramUrl, and staleness and runtimes
+ * are evaluated against the clock of the replay source instead of the clock of the browser.
  * @param {string} diagramUrl - URL to the diagram.mmd file
  * @param {number} interval_s - Update interval in seconds
- * @returns {Object} Manager object with onRedraw and onUpdate subscription methods
+ * @param {Object} opts - Configuration options
+ * @param {string} opts.transport - One of 'poll', 'sse' or 'websocket' (default: 'poll')
+ * @param {string} opts.streamUrl - URL of the SSE or WebSocket endpoint (required for 'sse' and 'websocket')
+ * @param {boolean} opts.fallbackToPolling - Poll diagramUrl while the stream is down (default: true)
+ * @param {number} opts.minBackoff_s - Initial reconnect delay in seconds (default: 1)
+ * @param {number} opts.maxBackoff_s - Maximum reconnect or polling delay in seconds (default: 30)
+ * @param {string} opts.statusUrl - URL of a JSON status document fetched alongside diagramUrl (optional)
+ * @param {number} opts.requestTimeout_s - Time in seconds after which a request without a response is aborted (default: 10)
+ * @param {Object} opts.scheduler - Scheduler from createScheduler to poll with (default: a scheduler of its own)
+ * @param {number|null} opts.warnAfter_s - Age in seconds after which the status is delayed, or null for never (default: null)
+ * @param {number|null} opts.staleAfter_s - Age in seconds after which the status is stale, or null for never (default: 60)
+ * @param {number} opts.maxSkew_s - Maximum clock offset between producer and browser to compensate in seconds (default: 30)
+ * @param {boolean} opts.record - Record each distinct content (default: false)
+ * @param {number} opts.maxRecorded - Maximum number of recorded contents, the oldest are dropped (default: 10000)
+ * @param {Object} opts.replay - Replay source from createReplaySource to take the content from (optional)
+ * @returns {Object} Manager object with onRedraw, onUpdate, onTransition, onError and onStatus subscription methods, getStaleness, getRecording and now
  */
-function createDiagramManager(diagramUrl, interval_s = 1) {
+function createDiagramManager(diagramUrl, interval_s = 1, opts = {}) {
+    const config = {
+        transport: 'poll',
+        streamUrl: null,
+        fallbackToPolling: true,
+        minBackoff_s: 1,
+        maxBackoff_s: 30,
+        requestTimeout_s: 10,
+        warnAfter_s: null,
+        staleAfter_s: MAX_STATUS_AGE_S,
+        maxSkew_s: 30,
+        record: false,
+        maxRecorded: 10000,
+        replay: undefined,
+        ...opts
+    };
+    if (config.transport !== 'poll' && !config.streamUrl) {
+        throw new Error(`The ${config.transport} transport needs a streamUrl`);
+    }
+    const scheduler = config.scheduler || createScheduler();
     const onRedrawSubs = new Set();
     const onUpdateSubs = new Set();
+    const onTransitionSubs = new Set();
+    const onErrorSubs = new Set();
+    const onStatusSubs = new Set();
+    let lastContent = null;
     let lastStates = null;
     let lastDiagram = null;
     let lastTimestamp = null;
-    let refreshTimer = null;
+    let lastErrors = '';
+    let status = CONN_STOPPED;
+    let polling = false;
+    let pollingRun = 0;  // Counts the calls of startPolling, see poll
+    let cancelRefresh = null;
+    let failures = 0;
+    let stream = null;
+    let reconnectTimer = null;
+    let reconnectAttempts = 0;
+    let running = false;
+    let minDelay_s = null;
+    let stalenessTimer = null;
+    let lastLevel = STALENESS_FRESH;
+    let unsubscribeReplay = null;
+    let replayTime = null;
+    const recording = [];
+    
+    // Current time of the manager, which is the clock of the replay source while replaying
+    function now() {
+        return config.replay ? config.replay.now() : Date.now();
+    }
     
     function triggerRedraw(fileContent) {
         onRedrawSubs.forEach(callback => callback(fileContent));
@@ -235,45 +1859,305 @@ function createDiagramManager(diagramUrl, interval_s = 1) {
         onUpdateSubs.forEach(callback => callback(fileContent));
     }
     
-    function fetchAndUpdate() {
-        const fetchOptions = { cache: 'no-store' };
-        fetch(diagramUrl, fetchOptions)
-            .then(r => r.text())
-            .then(fileContent => {
-                const diagram = extractDiagram(fileContent);
-                const states = parseStates(fileContent);
-                const timestmap = getTimestamp(fileContent);
-                
-                // Only notify onRedraw subscribers if content has changed (or first load)
-                if (lastDiagram !== diagram || isAttrChange(lastStates, states, 'state') || lastTimestamp?.getTime() !== timestmap?.getTime()) {
-                    lastDiagram = diagram;
-                    lastStates = states;
-                    lastTimestamp = timestmap;
-                    triggerRedraw(fileContent);
-                }
+    function triggerTransitions(previousStates, states) {
+        states.forEach((blockData, blockId) => {
+            const fromState = previousStates.get(blockId)?.state;
+            if (fromState === undefined || fromState === blockData.state) return;
+            onTransitionSubs.forEach(callback => callback(blockId, fromState, blockData.state, blockData));
+        });
+    }
+    
+    function setStatus(newStatus, error) {
+        if (status === newStatus) return;
+        status = newStatus;
+        onStatusSubs.forEach(callback => callback(status, error));
+    }
+    
+    function reportError(error) {
+        if (error.status) setStatus(error.status, error);
+        onErrorSubs.forEach(callback => callback(error));
+    }
+    
+    function connectionError(errorStatus, message, httpStatus) {
+        const error = new Error(message);
+        error.status = errorStatus;
+        error.httpStatus = httpStatus;
+        return error;
+    }
+    
+    function backoff(attempt, base_s) {
+        return Math.max(base_s, Math.min(config.maxBackoff_s, base_s * 2 ** attempt));
+    }
+    
+    function processContent(fileContent, notifyTransitions = true) {
+        if (!hasDiagram(fileContent)) {
+            throw connectionError(CONN_PARSE_ERROR, 'Content does not contain a flowchart');
+        }
+        const diagram = extractDiagram(fileContent);
+        const states = parseStates(fileContent);
+        const timestmap = getTimestamp(fileContent);
+        const {errors} = parseStatus(fileContent);
+        const previousStates = lastStates;
+        if (config.record && fileContent !== lastContent) {
+            recording.push({time: now(), content: fileContent});
+            if (recording.length > config.maxRecorded) recording.shift();
+        }
+        lastContent = fileContent;
+        
+        // New timestamps arrive with the polling delay plus the clock offset of the producer.
+        // The smallest delay seen approximates the offset.
+        if (previousStates !== null && timestmap && lastTimestamp?.getTime() !== timestmap.getTime()) {
+            const delay_s = (now() - timestmap.getTime()) / 1000;
+            minDelay_s = minDelay_s === null ? delay_s : Math.min(minDelay_s, delay_s);
+        }
+        const level = getStaleness().level;
+        
+        if (errors.join('\n') !== lastErrors) {
+            lastErrors = errors.join('\n');
+            errors.forEach(message => reportError(new Error(message)));
+        }
+        
+        // Only notify onRedraw subscribers if content has changed (or first load)
+        if (lastDiagram !== diagram || isAttrChange(lastStates, states, 'state') || lastTimestamp?.getTime() !== timestmap?.getTime() || lastLevel !== level) {
+            lastDiagram = diagram;
+            lastStates = states;
+            lastTimestamp = timestmap;
+            lastLevel = level;
+            triggerRedraw(fileContent);
+            if (previousStates !== null && notifyTransitions) triggerTransitions(previousStates, states);
+        }
 
-                if (isAttrChange(lastStates, states, 'runtime')){
-                    lastStates = states;
-                    triggerUpdate(fileContent);
+        if (isAttrChange(lastStates, states, 'runtime')){
+            lastStates = states;
+            triggerUpdate(fileContent);
+        }
+        scheduleStalenessCheck();
+    }
+    
+    function getStaleness() {
+        const timestamp = lastContent === null ? null : getTimestamp(lastContent);
+        if (!timestamp) return {level: STALENESS_FRESH, age_s: null};
+        const policy = getStalenessPolicy(lastContent, config);
+        const skew_s = Math.max(-config.maxSkew_s, Math.min(config.maxSkew_s, minDelay_s || 0));
+        const age_s = Math.max(0, (now() - timestamp.getTime()) / 1000 - skew_s);
+        return {level: stalenessLevel(age_s, policy), age_s};
+    }
+    
+    // Wake up when the age of the status crosses the next threshold. While replaying, the
+    // staleness is checked whenever the clock of the replay source changes.
+    function scheduleStalenessCheck() {
+        clearTimeout(stalenessTimer);
+        stalenessTimer = null;
+        const {age_s} = getStaleness();
+        if (!running || age_s === null || config.replay) return;
+        const {warnAfter_s, staleAfter_s} = getStalenessPolicy(lastContent, config);
+        const next_s = [warnAfter_s, staleAfter_s].filter(threshold => threshold !== null && threshold >= age_s);
+        if (!next_s.length) return;
+        stalenessTimer = setTimeout(checkStaleness, (Math.min(...next_s) - age_s) * 1000 + 100);
+    }
+    
+    function checkStaleness() {
+        const {level} = getStaleness();
+        if (level !== lastLevel) {
+            lastLevel = level;
+            triggerRedraw(lastContent);
+        }
+        scheduleStalenessCheck();
+    }
+    
+    // Requests that hang would stop polling and hold a slot of the scheduler, so they are
+    // aborted after requestTimeout_s and retried with backoff
+    function fetchText(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), config.requestTimeout_s * 1000);
+        const fetchOptions = { cache: 'no-store', signal: controller.signal };
+        return fetch(url, fetchOptions)
+            .then(r => {
+                if (!r.ok) {
+                    const message = `HTTP ${r.status} while fetching ${url}`;
+                    throw connectionError(CONN_HTTP_ERROR, message, r.status);
                 }
+                return r.text();
+            })
+            .catch(error => {
+                if (error.status) throw error;
+                const message = controller.signal.aborted ?
+                    `No response within ${config.requestTimeout_s}s while fetching ${url}` : error.message;
+                throw connectionError(CONN_RETRYING, message);
             })
-            .catch(() => {}); // Network errors handled silently
+            .finally(() => clearTimeout(timer));
+    }
+    
+    function fetchAndUpdate() {
+        const statusRequest = config.statusUrl ? fetchText(config.statusUrl) : null;
+        return Promise.all([fetchText(diagramUrl), statusRequest])
+            .then(([fileContent, statusText]) => {
+                if (!running) return;
+                if (statusText !== null) {
+                    let doc;
+                    try {
+                        doc = JSON.parse(statusText);
+                    } catch (error) {
+                        throw connectionError(CONN_PARSE_ERROR, `Invalid status document: ${error.message}`);
+                    }
+                    fileContent = setStatusBlock(fileContent, doc);
+                }
+                processContent(fileContent);
+                failures = 0;
+                setStatus(CONN_CONNECTED);
+            })
+            .catch(error => {
+                if (!running) return;
+                failures++;
+                reportError(error);
+            });
+    }
+    
+    // Polling that was stopped and started again while a request was pending continues
+    // in the new run only
+    function poll(run) {
+        cancelRefresh = null;
+        return fetchAndUpdate().then(() => {
+            if (!polling || run !== pollingRun) return;
+            cancelRefresh = scheduler.schedule(() => poll(run), backoff(failures, interval_s));
+        });
+    }
+    
+    function startPolling() {
+        if (polling) return;
+        polling = true;
+        const run = ++pollingRun;
+        cancelRefresh = scheduler.schedule(() => poll(run), 0);
+    }
+    
+    function stopPolling() {
+        polling = false;
+        cancelRefresh?.();
+        cancelRefresh = null;
+    }
+    
+    function handleMessage(data) {
+        const text = String(data);
+        if (!text.trim().startsWith('{')) {
+            processContent(text);
+        } else if (lastContent !== null) {
+            // Deltas can only be applied once the full content is known
+            let delta;
+            try {
+                delta = JSON.parse(text);
+            } catch (error) {
+                throw connectionError(CONN_PARSE_ERROR, `Invalid delta: ${error.message}`);
+            }
+            processContent(applyStatusDelta(lastContent, delta));
+        }
+    }
+    
+    function connect() {
+        reconnectTimer = null;
+        try {
+            stream = config.transport === 'websocket' ? 
+                new WebSocket(config.streamUrl) : new EventSource(config.streamUrl);
+        } catch (error) {
+            reconnect();
+            return;
+        }
+        stream.onopen = () => {
+            reconnectAttempts = 0;
+            stopPolling();
+            setStatus(CONN_CONNECTED);
+        };
+        stream.onmessage = event => {
+            try {
+                handleMessage(event.data);
+                setStatus(CONN_CONNECTED);
+            } catch (error) {
+                reportError(error);
+            }
+        };
+        // WebSockets report errors followed by close, EventSources only report errors
+        if (config.transport === 'websocket') stream.onclose = reconnect;
+        else stream.onerror = reconnect;
+    }
+    
+    function disconnect() {
+        if (!stream) return;
+        stream.onopen = stream.onmessage = stream.onerror = stream.onclose = null;
+        stream.close();
+        stream = null;
+    }
+    
+    function reconnect() {
+        disconnect();
+        reportError(connectionError(CONN_RETRYING, `Lost connection to ${config.streamUrl}`));
+        if (config.fallbackToPolling) startPolling();
+        const delay_s = backoff(reconnectAttempts, config.minBackoff_s);
+        reconnectAttempts++;
+        reconnectTimer = setTimeout(connect, delay_s * 1000);
+    }
+    
+    // Seeking back in a replay is no transition of the recorded run
+    function handleReplay(fileContent, time) {
+        const rewound = replayTime !== null && time < replayTime;
+        replayTime = time;
+        if (fileContent === lastContent) {
+            checkStaleness();
+            return;
+        }
+        try {
+            processContent(fileContent, !rewound);
+        } catch (error) {
+            reportError(error);
+        }
     }
     
     function start() {
-        if (refreshTimer) return;
-        fetchAndUpdate();
-        refreshTimer = setInterval(fetchAndUpdate, interval_s * 1000);
+        if (running) return;
+        running = true;
+        setStatus(CONN_CONNECTING);
+        if (config.replay) {
+            setStatus(CONN_REPLAY);
+            unsubscribeReplay = config.replay.subscribe(handleReplay);
+        } else if (config.transport === 'poll') {
+            startPolling();
+        } else {
+            // Fetch the full content once so that deltas can be applied right away
+            fetchAndUpdate();
+            connect();
+        }
     }
     
     function stop() {
-        if (!refreshTimer) return;
-        clearInterval(refreshTimer);
-        refreshTimer = null;
+        if (!running) return;
+        running = false;
+        unsubscribeReplay?.();
+        unsubscribeReplay = null;
+        replayTime = null;
+        stopPolling();
+        disconnect();
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        reconnectAttempts = 0;
+        failures = 0;
+        clearTimeout(stalenessTimer);
+        stalenessTimer = null;
+        setStatus(CONN_STOPPED);
+    }
+    
+    function getStatus() {
+        return status;
+    }
+    
+    /**
+     * Get the recorded contents, see the record option
+     * @returns {Array<Object>} Snapshots with time (milliseconds) and content, see formatRecording
+     */
+    function getRecording() {
+        return recording.slice();
     }
     
     function onRedraw(callback) {
         onRedrawSubs.add(callback);
+        if (lastContent !== null) callback(lastContent);
 
         return function unsubscribe() {
             onRedrawSubs.delete(callback);
@@ -288,10 +2172,130 @@ function createDiagramManager(diagramUrl, interval_s = 1) {
         };
     }
     
+    function onTransition(callback) {
+        onTransitionSubs.add(callback);
+        
+        return function unsubscribe() {
+            onTransitionSubs.delete(callback);
+        };
+    }
+    
+    function onError(callback) {
+        onErrorSubs.add(callback);
+        
+        return function unsubscribe() {
+            onErrorSubs.delete(callback);
+        };
+    }
+    
+    function onStatus(callback) {
+        onStatusSubs.add(callback);
+        
+        return function unsubscribe() {
+            onStatusSubs.delete(callback);
+        };
+    }
+    
     return {
         start,
         stop,
+        getStatus,
+        getStaleness,
+        getRecording,
+        now,
         onRedraw,
         onUpdate,
+        onTransition,
+        onError,
+        onStatus,
+    };
+}
+
+// In the browser, the functions above are script globals. In Node.js, they are exported as
+// CommonJS module, which ES modules can import as well, e.g. for rendering snapshots (see
+// bin/dagmaid.js) or for tests.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STATE_DEFAULT,
+        STATE_RUNNING,
+        STATE_SUCCESS,
+        STATE_FAILED,
+        CLS_DEFAULT,
+        CLS_SUCCESS,
+        CLS_FAILED,
+        MAX_STATUS_AGE_S,
+        STALENESS_FRESH,
+        STALENESS_DELAYED,
+        STALENESS_STALE,
+        STALENESS_LEVELS,
+        RUNTIME_PLACEHOLDER,
+        EDGE_DEFAULT,
+        EDGE_ACTIVE,
+        EDGE_DONE,
+        EDGE_FAILED,
+        EDGE_STATES,
+        STATES,
+        registerState,
+        getStateDef,
+        THEMES,
+        setTheme,
+        getTheme,
+        onThemeChange,
+        formatDuration,
+        spinner,
+        formatState,
+        statusTextLength,
+        formatRuntime,
+        formatGroupStatus,
+        getTimestamp,
+        parseDuration,
+        getStalenessPolicy,
+        stalenessLevel,
+        getStatusAge,
+        tokenizeFlowchart,
+        appendToLabels,
+        findStatusBlock,
+        setStatusBlock,
+        validateStatus,
+        parseStatus,
+        parseStates,
+        parseEdges,
+        parseBlockEdges,
+        aggregateStates,
+        parseGroupStates,
+        traverseEdges,
+        parseEdgeStates,
+        getLineage,
+        isAttrChange,
+        parseStyle,
+        resolveColor,
+        normalizeStyle,
+        extractColors,
+        setStyleProperty,
+        mermaidThemeConfig,
+        extractDiagram,
+        getStateStyle,
+        getStateClass,
+        getBlockStatuses,
+        getEdgeStyle,
+        getEdgeStatuses,
+        styleDiagram,
+        buildStyledDiagram,
+        applyStatusDelta,
+        hasDiagram,
+        escapeHtml,
+        CONN_CONNECTING,
+        CONN_CONNECTED,
+        CONN_RETRYING,
+        CONN_HTTP_ERROR,
+        CONN_PARSE_ERROR,
+        CONN_STOPPED,
+        CONN_REPLAY,
+        createScheduler,
+        parseRecording,
+        formatRecording,
+        loadRecording,
+        createReplaySource,
+        createDiagramManager
     };
 }
\ No newline at end of file
@@ -0,0 +1,362 @@
+/**
+ * Pan and Zoom Viewport
+ * Shows an SVG diagram in a container of fixed height, with pan and zoom by mouse, wheel and
+ * touch (pinch), fit-to-screen and fit-to-width, a mode following the running blocks and an
+ * optional minimap. The view is kept when a new SVG is attached, e.g. after a re-render.
+ * Used by createDAG (see its viewport option). The controls and the minimap follow the theme.
+ *
+ * @requires getTheme and onThemeChange from utils.js
+ *
+ * @param {HTMLElement} container - Element to contain the viewport. Its content is replaced.
+ * @param {Object} opts - Configuration options
+ * @param {string} opts.height - Height of the viewport (default: '70vh')
+ * @param {string} opts.initial - Initial view, 'fit' to show the whole diagram or 'width' to fit its width (default: 'fit')
+ * @param {boolean} opts.follow - Start in the mode following the running blocks (default: false)
+ * @param {boolean} opts.controls - Show buttons for zoom, fit and follow (default: true)
+ * @param {boolean} opts.minimap - Show a minimap of the whole diagram (default: false)
+ * @param {number} opts.minimapWidth - Width of the minimap in pixels (default: 160)
+ * @param {number} opts.minScale - Smallest zoom factor (default: 0.1)
+ * @param {number} opts.maxScale - Largest zoom factor (default: 4)
+ * @returns {Object} Viewport with the stage element to render into and attach, update, fit, fitWidth and destroy methods
+ */
+function createViewport(container, opts = {}) {
+    const config = {
+        height: '70vh',
+        initial: 'fit',
+        follow: false,
+        controls: true,
+        minimap: false,
+        minimapWidth: 160,
+        minScale: 0.1,
+        maxScale: 4,
+        ...opts
+    };
+    const cssButton = (
+        'width:28px;height:28px;padding:0;border:1px solid;border-radius:4px;' +
+        'font-size:14px;cursor:pointer'
+    );
+
+    container.style.position = 'relative';
+    container.style.overflow = 'hidden';
+    container.style.height = config.height;
+    container.innerHTML = (
+        `<div data-viewport="stage" style="width:100%;height:100%;touch-action:none;cursor:grab"></div>` +
+        (config.controls ? (
+            `<div style="position:absolute;top:8px;right:8px;display:flex;gap:4px">` +
+            `<button type="button" data-action="zoom-in" title="Zoom in" style="${cssButton}">+</button>` +
+            `<button type="button" data-action="zoom-out" title="Zoom out" style="${cssButton}">&minus;</button>` +
+            `<button type="button" data-action="fit" title="Fit to screen" style="${cssButton}">&#x2922;</button>` +
+            `<button type="button" data-action="fit-width" title="Fit to width" style="${cssButton}">&#x2194;</button>` +
+            `<button type="button" data-action="follow" title="Follow running blocks" style="${cssButton}">&#x25CE;</button>` +
+            `</div>`
+        ) : '') +
+        (config.minimap ? (
+            `<div data-viewport="minimap" style="position:absolute;right:8px;bottom:8px;` +
+            `width:${config.minimapWidth}px;border:1px solid;` +
+            `overflow:hidden;cursor:pointer;touch-action:none"></div>`
+        ) : '')
+    );
+    const stage = container.querySelector('[data-viewport="stage"]');
+    const minimap = container.querySelector('[data-viewport="minimap"]');
+    const followButton = container.querySelector('[data-action="follow"]');
+    const buttons = container.querySelectorAll('[data-action]');
+
+    let svg = null;
+    let bounds = null;  // Extent of the diagram in SVG coordinates
+    let view = null;  // Visible part of the diagram in SVG coordinates
+    let scale = 1;  // Pixels per SVG unit
+    let following = config.follow;
+    let dragged = false;
+    let runningIds = [];
+    let minimapPairs = [];  // Elements of the diagram and their copies in the minimap
+    const pointers = new Map();
+
+    function stageSize() {
+        return {width: stage.clientWidth || 1, height: stage.clientHeight || 1};
+    }
+
+    function setView(x, y, newScale) {
+        const {width, height} = stageSize();
+        scale = Math.max(config.minScale, Math.min(config.maxScale, newScale));
+        view = {x, y, width: width / scale, height: height / scale};
+        svg?.setAttribute('viewBox', `${view.x} ${view.y} ${view.width} ${view.height}`);
+        updateMinimapView();
+    }
+
+    function centerOn(x, y, newScale = scale) {
+        const {width, height} = stageSize();
+        setView(x - width / newScale / 2, y - height / newScale / 2, newScale);
+    }
+
+    function fit() {
+        if (!bounds) return;
+        const {width, height} = stageSize();
+        const newScale = Math.min(width / bounds.width, height / bounds.height);
+        centerOn(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2, newScale);
+    }
+
+    function fitWidth() {
+        if (!bounds) return;
+        setView(bounds.x, bounds.y, stageSize().width / bounds.width);
+    }
+
+    // Zoom around a point given in pixels relative to the stage
+    function zoomAt(factor, px, py) {
+        if (!view) return;
+        const newScale = Math.max(config.minScale, Math.min(config.maxScale, scale * factor));
+        setView(view.x + px / scale - px / newScale, view.y + py / scale - py / newScale, newScale);
+    }
+
+    // Color the controls and the minimap with the theme
+    function applyTheme() {
+        const theme = getTheme();
+        buttons.forEach(button => {
+            button.style.borderColor = theme.border;
+            button.style.color = theme.text;
+            button.style.background = button === followButton && following ? theme.highlight : theme.surface;
+        });
+        if (minimap) {
+            minimap.style.borderColor = theme.border;
+            minimap.style.background = `color-mix(in srgb, ${theme.background} 90%, transparent)`;
+        }
+        const frame = minimap?.querySelector('[data-viewport="view"]');
+        if (frame) {
+            frame.style.borderColor = theme.accent;
+            frame.style.background = `color-mix(in srgb, ${theme.accent} 10%, transparent)`;
+        }
+    }
+
+    function setFollowing(enabled) {
+        following = enabled;
+        followButton?.setAttribute('aria-pressed', String(following));
+        applyTheme();
+        if (following) followRunning();
+    }
+
+    // Center on the running blocks, found by their status lines (see formatState)
+    function followRunning() {
+        if (!following || !view) return;
+        const stageRect = stage.getBoundingClientRect();
+        const rects = runningIds
+            .map(id => stage.querySelector(`[id="${id}_text"]`)?.closest('g.node'))
+            .filter(Boolean)
+            .map(element => element.getBoundingClientRect());
+        if (!rects.length) return;
+        const left = Math.min(...rects.map(rect => rect.left));
+        const right = Math.max(...rects.map(rect => rect.right));
+        const top = Math.min(...rects.map(rect => rect.top));
+        const bottom = Math.max(...rects.map(rect => rect.bottom));
+        centerOn(
+            view.x + ((left + right) / 2 - stageRect.left) / scale,
+            view.y + ((top + bottom) / 2 - stageRect.top) / scale
+        );
+    }
+
+    // Minimap showing a copy of the diagram and the visible part of it. The copy gets its own ID,
+    // to which the styles of Mermaid, scoped to the ID of the diagram, are moved
+    function refreshMinimap() {
+        if (!minimap || !svg || !bounds) return;
+        const copy = svg.cloneNode(true);
+        copy.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+        copy.querySelectorAll('[tabindex]').forEach(element => element.removeAttribute('tabindex'));
+        if (svg.id) {
+            copy.id = `${svg.id}-minimap`;
+            copy.querySelectorAll('style').forEach(style => {
+                style.textContent = style.textContent.split(`#${svg.id}`).join(`#${copy.id}`);
+            });
+        }
+        copy.setAttribute('viewBox', `${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`);
+        copy.setAttribute('aria-hidden', 'true');
+        copy.style.pointerEvents = 'none';
+        minimap.style.height = `${Math.min(120, config.minimapWidth * bounds.height / bounds.width)}px`;
+        minimap.innerHTML = (
+            `<div data-viewport="view" style="position:absolute;border:2px solid;pointer-events:none"></div>`
+        );
+        minimap.prepend(copy);
+        const selector = 'g.node, g.cluster, path.flowchart-link';
+        const copies = copy.querySelectorAll(selector);
+        minimapPairs = [
+            [svg, copy],
+            ...[...svg.querySelectorAll(selector)].map((element, index) => [element, copies[index]])
+        ];
+        applyTheme();
+        updateMinimapView();
+    }
+
+    // Copy the state classes and edge styles of a patched diagram to the minimap
+    function syncMinimap() {
+        minimapPairs.forEach(([element, copy]) => {
+            if (!copy) return;
+            copy.setAttribute('class', element.getAttribute('class') || '');
+            if (element !== svg) copy.setAttribute('style', element.getAttribute('style') || '');
+        });
+    }
+
+    // Scale and offset of the minimap, whose copy of the diagram is centered
+    function minimapMapping() {
+        const width = minimap.clientWidth;
+        const height = minimap.clientHeight;
+        const factor = Math.min(width / bounds.width, height / bounds.height);
+        return {
+            factor,
+            offsetX: (width - bounds.width * factor) / 2,
+            offsetY: (height - bounds.height * factor) / 2
+        };
+    }
+
+    function updateMinimapView() {
+        const frame = minimap?.querySelector('[data-viewport="view"]');
+        if (!frame || !view || !bounds) return;
+        const {factor, offsetX, offsetY} = minimapMapping();
+        frame.style.left = `${offsetX + (view.x - bounds.x) * factor}px`;
+        frame.style.top = `${offsetY + (view.y - bounds.y) * factor}px`;
+        frame.style.width = `${view.width * factor}px`;
+        frame.style.height = `${view.height * factor}px`;
+    }
+
+    function handleMinimapPointer(event) {
+        event.stopPropagation();
+        if (event.type === 'pointermove' && !event.buttons) return;
+        if (!bounds) return;
+        const rect = minimap.getBoundingClientRect();
+        const {factor, offsetX, offsetY} = minimapMapping();
+        setFollowing(false);
+        centerOn(
+            bounds.x + (event.clientX - rect.left - offsetX) / factor,
+            bounds.y + (event.clientY - rect.top - offsetY) / factor
+        );
+    }
+
+    function handlePointerDown(event) {
+        if (event.button > 0) return;
+        pointers.set(event.pointerId, {x: event.clientX, y: event.clientY});
+        if (pointers.size === 1) dragged = false;
+        stage.style.cursor = 'grabbing';
+    }
+
+    function handlePointerMove(event) {
+        const previous = pointers.get(event.pointerId);
+        if (!previous || !view) return;
+        const current = {x: event.clientX, y: event.clientY};
+        const rect = stage.getBoundingClientRect();
+
+        if (pointers.size === 1) {
+            const dx = current.x - previous.x;
+            const dy = current.y - previous.y;
+            if (!dragged && Math.hypot(dx, dy) < 3) return;
+            dragged = true;
+            setFollowing(false);
+            setView(view.x - dx / scale, view.y - dy / scale, scale);
+        } else if (pointers.size === 2) {
+            // Pinch: zoom by the change of distance around the midpoint of both pointers
+            const [other] = [...pointers].filter(([id]) => id !== event.pointerId).map(([, point]) => point);
+            const factor = Math.hypot(current.x - other.x, current.y - other.y) /
+                Math.max(1, Math.hypot(previous.x - other.x, previous.y - other.y));
+            dragged = true;
+            setFollowing(false);
+            zoomAt(factor, (current.x + other.x) / 2 - rect.left, (current.y + other.y) / 2 - rect.top);
+        }
+        pointers.set(event.pointerId, current);
+    }
+
+    function handlePointerUp(event) {
+        pointers.delete(event.pointerId);
+        if (!pointers.size) stage.style.cursor = 'grab';
+    }
+
+    // A drag ends with a click, which must not activate the block below the pointer
+    function handleClick(event) {
+        if (!dragged) return;
+        dragged = false;
+        event.stopPropagation();
+        event.preventDefault();
+    }
+
+    function handleWheel(event) {
+        event.preventDefault();
+        const rect = stage.getBoundingClientRect();
+        setFollowing(false);
+        zoomAt(Math.exp(-event.deltaY * 0.0015), event.clientX - rect.left, event.clientY - rect.top);
+    }
+
+    function handleControl(event) {
+        const action = event.target.closest('button[data-action]')?.dataset.action;
+        if (!action) return;
+        const {width, height} = stageSize();
+        if (action === 'zoom-in') zoomAt(1.25, width / 2, height / 2);
+        else if (action === 'zoom-out') zoomAt(0.8, width / 2, height / 2);
+        else if (action === 'fit') fit();
+        else if (action === 'fit-width') fitWidth();
+        else if (action === 'follow') setFollowing(!following);
+        if (action !== 'follow') setFollowing(false);
+    }
+
+    // Keep the zoom factor and the center of the view when the container is resized
+    const resizeObserver = typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(() => {
+        if (view) centerOn(view.x + view.width / 2, view.y + view.height / 2);
+    });
+    resizeObserver?.observe(stage);
+
+    stage.addEventListener('pointerdown', handlePointerDown);
+    stage.addEventListener('click', handleClick, true);
+    stage.addEventListener('wheel', handleWheel, {passive: false});
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('pointercancel', handlePointerUp);
+    container.addEventListener('click', handleControl);
+    minimap?.addEventListener('pointerdown', handleMinimapPointer);
+    minimap?.addEventListener('pointermove', handleMinimapPointer);
+    const unsubscribeTheme = onThemeChange(applyTheme);
+    setFollowing(following);
+
+    /**
+     * Show a newly rendered SVG in the stage, keeping the current view
+     * @param {SVGSVGElement} newSvg - Rendered SVG element within the stage
+     */
+    function attach(newSvg) {
+        svg = newSvg;
+        const viewBox = svg.viewBox?.baseVal;
+        bounds = viewBox && viewBox.width ?
+            {x: viewBox.x, y: viewBox.y, width: viewBox.width, height: viewBox.height} :
+            svg.getBBox();
+        svg.setAttribute('width', '100%');
+        svg.setAttribute('height', '100%');
+        svg.style.maxWidth = 'none';
+        if (view) setView(view.x, view.y, scale);
+        else if (config.initial === 'width') fitWidth();
+        else fit();
+        refreshMinimap();
+    }
+
+    /**
+     * Update the minimap and follow the running blocks after the diagram was patched
+     * @param {Array<string>} ids - IDs of the running blocks
+     */
+    function update(ids) {
+        runningIds = ids;
+        syncMinimap();
+        followRunning();
+    }
+
+    function destroy() {
+        unsubscribeTheme();
+        resizeObserver?.disconnect();
+        stage.removeEventListener('pointerdown', handlePointerDown);
+        stage.removeEventListener('click', handleClick, true);
+        stage.removeEventListener('wheel', handleWheel, {passive: false});
+        window.removeEventListener('pointermove', handlePointerMove);
+        window.removeEventListener('pointerup', handlePointerUp);
+        window.removeEventListener('pointercancel', handlePointerUp);
+        container.removeEventListener('click', handleControl);
+    }
+
+    return {
+        container,
+        stage,
+        attach,
+        update,
+        fit,
+        fitWidth,
+        destroy
+    };
+}
\ No newline at end of file